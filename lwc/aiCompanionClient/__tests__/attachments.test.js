@@ -0,0 +1,49 @@
+import { chunkText, selectChunks, formatAttachments, attachmentsBudget } from '../attachments';
+
+const LOG = Array.from({ length: 400 }, (_, i) => (i === 200 ? 'ERROR: Missing field Foo__c' : `line ${i} of the deployment log`)).join('\n');
+
+describe('chunkText', () => {
+    it('splits the text in chunks of whole lines', () => {
+        const chunks = chunkText(LOG, 100);
+        expect(chunks[0]).toMatchObject({ start: 0, end: 12 });
+        expect(chunks[1].start).toBe(12);
+        expect(chunks[chunks.length-1].end).toBe(400);
+        expect(chunks.every((c) => c.tokens <= 100)).toBe(true);
+        expect(chunks.map((c) => c.text).join('\n')).toBe(LOG);
+    });
+});
+
+describe('selectChunks', () => {
+    it('keeps everything when it fits', () => {
+        expect(selectChunks(chunkText('a\nb\nc'), 100)).toBe('a\nb\nc');
+    });
+
+    it('keeps the errors and the end of the file first, in their order', () => {
+        const text = selectChunks(chunkText(LOG, 100), 200);
+        expect(text).toContain('ERROR: Missing field Foo__c');
+        expect(text).toContain('line 399 of the deployment log');
+        expect(text).not.toContain('line 0 of the deployment log');
+        expect(text.indexOf('ERROR')).toBeLessThan(text.indexOf('line 399'));
+        expect(text.startsWith('[... 199 lines left out')).toBe(true);
+    });
+});
+
+describe('formatAttachments', () => {
+    it('formats each file, and the errors of the ones that could not be read', () => {
+        expect(formatAttachments([{ title: 'a.log', content: 'short\nfile' }, { title: 'big.log', error: 'too big' }], 600))
+            .toBe('The user attached these files of the record:\n\n### a.log\n```\nshort\nfile\n```\n\n### big.log\n(too big)');
+    });
+
+    it('shares the budget between the files', () => {
+        const text = formatAttachments([{ title: 'a.log', content: 'short' }, { title: 'b.log', content: LOG }], 600);
+        expect(text).toContain('short');
+        expect(text).toContain('ERROR: Missing field Foo__c');
+        expect(text.length).toBeLessThan(600 * 4);
+    });
+});
+
+describe('attachmentsBudget', () => {
+    it('leaves room for the conversation and the question', () => {
+        expect(attachmentsBudget(11000, 'why?')).toBe(5499);
+    });
+});
@@ -0,0 +1,131 @@
+import { BackendError, classifyResponse, classifyError, parseRetryAfter, retryDelay, fetchWithRetry,
+    ERROR_AUTH, ERROR_RATE_LIMIT, ERROR_TIMEOUT, ERROR_OFFLINE, ERROR_UNAVAILABLE, ERROR_REQUEST, MAX_RETRIES } from '../backendErrors';
+
+function response(status, headers = {}) {
+    return { ok: status < 400, status, statusText: `status ${status}`, headers: { get: (name) => headers[name] } };
+}
+
+// a request that answers with the given statuses, one per attempt
+function requests(...statuses) {
+    const calls = [];
+    const request = (signal) => {
+        calls.push(signal);
+        const status = statuses[calls.length - 1];
+        return status instanceof Error ? Promise.reject(status) : Promise.resolve(response(status));
+    };
+    return { request, calls };
+}
+
+const noSleep = () => Promise.resolve();
+
+describe('classifyResponse', () => {
+    it('classifies the status codes', () => {
+        expect(classifyResponse(response(401)).type).toBe(ERROR_AUTH);
+        expect(classifyResponse(response(403)).type).toBe(ERROR_AUTH);
+        expect(classifyResponse(response(429)).type).toBe(ERROR_RATE_LIMIT);
+        expect(classifyResponse(response(504)).type).toBe(ERROR_TIMEOUT);
+        expect(classifyResponse(response(503)).type).toBe(ERROR_UNAVAILABLE);
+        expect(classifyResponse(response(400)).type).toBe(ERROR_REQUEST);
+    });
+
+    it('reads Retry-After', () => {
+        const error = classifyResponse(response(429, { 'Retry-After': '7' }));
+        expect(error.retryAfter).toBe(7000);
+        expect(error.retryable).toBe(true);
+        expect(classifyResponse(response(400)).retryable).toBe(false);
+    });
+});
+
+describe('classifyError', () => {
+    it('tells offline from a backend that cannot be reached', () => {
+        expect(classifyError(new TypeError('Failed to fetch'), false).type).toBe(ERROR_OFFLINE);
+        expect(classifyError(new TypeError('Failed to fetch'), true).type).toBe(ERROR_UNAVAILABLE);
+    });
+
+    it('keeps errors already classified', () => {
+        const error = new BackendError(ERROR_REQUEST, 'bad');
+        expect(classifyError(error)).toBe(error);
+    });
+});
+
+describe('parseRetryAfter', () => {
+    it('reads seconds and dates', () => {
+        expect(parseRetryAfter('3')).toBe(3000);
+        expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:10 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'))).toBe(10000);
+        expect(parseRetryAfter('soon')).toBeUndefined();
+        expect(parseRetryAfter(null)).toBeUndefined();
+    });
+});
+
+describe('retryDelay', () => {
+    it('doubles the delay on each attempt', () => {
+        expect(retryDelay(1, null, () => 1)).toBe(1000);
+        expect(retryDelay(2, null, () => 1)).toBe(2000);
+        expect(retryDelay(3, null, () => 0)).toBe(2000);
+        expect(retryDelay(20, null, () => 1)).toBe(30000);
+    });
+
+    it('waits what the backend asked for', () => {
+        expect(retryDelay(1, { retryAfter: 5000 })).toBe(5000);
+    });
+});
+
+describe('fetchWithRetry', () => {
+    it('retries retryable errors with backoff', async () => {
+        const { request, calls } = requests(503, 429, 200);
+        const retries = [];
+        const result = await fetchWithRetry(request, { sleep: noSleep, onRetry: (r) => retries.push(r) });
+        expect(result.status).toBe(200);
+        expect(calls.length).toBe(3);
+        expect(retries.map((r) => r.attempt)).toEqual([1, 2]);
+        expect(retries[1].error.type).toBe(ERROR_RATE_LIMIT);
+    });
+
+    it('gives up after the maximum of retries', async () => {
+        const { request, calls } = requests(...Array(MAX_RETRIES + 2).fill(500));
+        await expect(fetchWithRetry(request, { sleep: noSleep })).rejects.toMatchObject({ type: ERROR_UNAVAILABLE });
+        expect(calls.length).toBe(MAX_RETRIES + 1);
+    });
+
+    it('does not retry errors of the request', async () => {
+        const { request, calls } = requests(400, 200);
+        await expect(fetchWithRetry(request, { sleep: noSleep })).rejects.toMatchObject({ type: ERROR_REQUEST, status: 400 });
+        expect(calls.length).toBe(1);
+    });
+
+    it('renews the session once on an auth error', async () => {
+        let renewed = 0;
+        const { request } = requests(401, 200);
+        const result = await fetchWithRetry(request, { sleep: noSleep, onAuthError: () => { renewed++; } });
+        expect(result.status).toBe(200);
+        expect(renewed).toBe(1);
+
+        const { request: failing } = requests(401, 401, 200);
+        await expect(fetchWithRetry(failing, { sleep: noSleep, onAuthError: () => {} })).rejects.toMatchObject({ type: ERROR_AUTH });
+    });
+
+    it('retries network errors', async () => {
+        const { request, calls } = requests(new TypeError('Failed to fetch'), 200);
+        const result = await fetchWithRetry(request, { sleep: noSleep });
+        expect(result.status).toBe(200);
+        expect(calls.length).toBe(2);
+    });
+
+    it('times out when there is no response', async () => {
+        const request = (signal) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        });
+        await expect(fetchWithRetry(request, { sleep: noSleep, timeout: 5, maxRetries: 0 }))
+            .rejects.toMatchObject({ type: ERROR_TIMEOUT });
+    });
+
+    it('stops when aborted by the user', async () => {
+        const controller = new AbortController();
+        const request = (signal) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        });
+        const result = fetchWithRetry(request, { signal: controller.signal, sleep: noSleep });
+        controller.abort();
+        await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
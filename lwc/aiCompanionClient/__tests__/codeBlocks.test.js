@@ -0,0 +1,42 @@
+import { decorateCodeBlocks, getCodeBlock, codeBlockFileName } from '../codeBlocks';
+
+describe('decorateCodeBlocks', () => {
+    const actions = [{ name: 'copy', label: 'Copy' }, { name: 'download', label: 'Download' }];
+
+    it('adds the buttons to each code block, once', () => {
+        const element = document.createElement('div');
+        element.innerHTML = '<pre><code class="language-soql">SELECT Id FROM Account</code></pre><pre><code>x</code></pre>';
+        decorateCodeBlocks(element, actions);
+        decorateCodeBlocks(element, actions);
+
+        expect(element.querySelectorAll('.codeActions').length).toBe(2);
+        expect(element.querySelectorAll('button[data-code-action]').length).toBe(4);
+        expect(element.querySelector('pre').dataset.language).toBe('soql');
+        // the labels are shown with CSS, so they are not copied with the answer
+        expect(element.querySelector('pre').textContent).toBe('SELECT Id FROM Account');
+    });
+
+    it('returns the code block of a button', () => {
+        const element = document.createElement('div');
+        element.innerHTML = '<p>text</p><pre><code class="language-apex">String s;</code></pre>';
+        decorateCodeBlocks(element, actions);
+
+        expect(getCodeBlock(element.querySelector('[data-code-action="download"]')))
+            .toEqual({ action: 'download', code: 'String s;', language: 'apex' });
+        expect(getCodeBlock(element.querySelector('p'))).toBeNull();
+    });
+});
+
+describe('codeBlockFileName', () => {
+    it('names the files after their content', () => {
+        expect(codeBlockFileName('<Package xmlns="http://soap.sforce.com/2006/04/metadata">', 'xml')).toBe('package.xml');
+        expect(codeBlockFileName('public with sharing class MyClass {\n}', 'apex')).toBe('MyClass.cls');
+        expect(codeBlockFileName('trigger AccountTrigger on Account (before insert) {}', 'apex')).toBe('AccountTrigger.trigger');
+    });
+
+    it('uses the extension of the language', () => {
+        expect(codeBlockFileName('SELECT Id FROM Account', 'soql')).toBe('snippet.soql');
+        expect(codeBlockFileName('a: 1', 'YAML')).toBe('snippet.yml');
+        expect(codeBlockFileName('x', '')).toBe('snippet.txt');
+    });
+});
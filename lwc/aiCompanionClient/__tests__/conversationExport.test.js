@@ -0,0 +1,67 @@
+import { conversationTitle, exportFileName, conversationToMarkdown, conversationToHtml, conversationToRichText, toRichText }
+    from '../conversationExport';
+
+const MESSAGES = [
+    { role: 'user', sender: 'Jane Doe', content: 'Why did the promotion fail?' },
+    { role: 'assistant', content: '', function_call: { name: 'getLogs', arguments: '{}' }, hidden: true },
+    { role: 'function', name: 'getLogs', content: '{"message": "..."}', hidden: true },
+    { role: 'assistant', sender: 'AI Companion', content: 'Because of a **missing** field' },
+];
+
+describe('conversationTitle', () => {
+    it('is the first question', () => {
+        expect(conversationTitle(MESSAGES)).toBe('Why did the promotion fail?');
+        expect(conversationTitle([{ role: 'user', content: 'x'.repeat(100) }])).toBe('x'.repeat(77) + '...');
+        expect(conversationTitle([])).toBe('AI Companion conversation');
+    });
+
+    it('is a valid file name', () => {
+        expect(exportFileName('Why did the promotion fail?')).toBe('Why_did_the_promotion_fail');
+        expect(exportFileName('???')).toBe('conversation');
+    });
+});
+
+describe('conversationToMarkdown', () => {
+    it('exports the messages shown, not the Action calls', () => {
+        expect(conversationToMarkdown(MESSAGES, 'Promotion')).toBe(
+            '# Promotion\n\n### Jane Doe\n\nWhy did the promotion fail?\n\n### AI Companion\n\nBecause of a **missing** field\n');
+    });
+});
+
+describe('conversationToHtml', () => {
+    it('renders and escapes the messages', () => {
+        const html = conversationToHtml([...MESSAGES, { role: 'user', sender: 'Jane Doe', content: '<script>alert(1)</script>' }], 'A <b>title</b>');
+        expect(html).toContain('<title>A &lt;b&gt;title&lt;/b&gt;</title>');
+        expect(html).toContain('<p>Because of a <strong>missing</strong> field</p>');
+        expect(html).not.toContain('<script>');
+    });
+});
+
+describe('toRichText', () => {
+    it('keeps the tags supported by notes and Chatter', () => {
+        expect(toRichText('<p>Use <strong>bold</strong> and <code>code</code></p>\n<ul>\n<li>a</li>\n<li>b</li>\n</ul>\n'))
+            .toBe('<p>Use <b>bold</b> and <code>code</code></p><ul><li>a</li><li>b</li></ul>');
+    });
+
+    it('converts the other tags', () => {
+        expect(toRichText('<h1>Title</h1>')).toBe('<p><b>Title</b></p>');
+        expect(toRichText('<pre><code class="language-apex"><span class="hl-type">String</span> s;\nInteger i;</code></pre>'))
+            .toBe('<p><code>String s;</code></p><p><code>Integer i;</code></p>');
+        expect(toRichText('<p><a href="https://docs.copado.com" target="_blank" rel="noopener noreferrer">docs</a></p>'))
+            .toBe('<p><a href="https://docs.copado.com">docs</a></p>');
+        expect(toRichText('<table><tr><th>Component</th><th>Error</th></tr><tr><td>MyClass</td><td>x &amp; y</td></tr></table>'))
+            .toBe('<p><b>Component</b> | <b>Error</b></p><p>MyClass | x &amp; y</p>');
+    });
+});
+
+describe('conversationToRichText', () => {
+    it('leaves out the oldest messages when it is too long', () => {
+        const messages = [
+            { role: 'user', sender: 'Jane Doe', content: 'x'.repeat(500) },
+            { role: 'assistant', sender: 'AI Companion', content: 'short answer' },
+        ];
+        expect(conversationToRichText(messages, 'T')).toContain('x'.repeat(500));
+        expect(conversationToRichText(messages, 'T', 200))
+            .toBe('<p><b>T</b></p><p><i>1 earlier messages were left out</i></p><p><b>AI Companion</b></p><p>short answer</p>');
+    });
+});
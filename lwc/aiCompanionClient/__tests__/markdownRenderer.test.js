@@ -0,0 +1,86 @@
+import { renderMarkdown } from '../markdownRenderer';
+import { highlight } from '../syntaxHighlight';
+
+describe('renderMarkdown', () => {
+    it('renders GitHub-flavoured tables', () => {
+        const html = renderMarkdown('| Component | Error |\n|:--|--:|\n| MyClass | Missing ; |');
+        expect(html).toContain('<th align="left">Component</th>');
+        expect(html).toContain('<td align="right">Missing ;</td>');
+    });
+
+    it('renders task lists, strikethrough and autolinks', () => {
+        const html = renderMarkdown('- [x] Run the tests\n- [ ] Deploy\n\n~~old~~ see https://docs.copado.com');
+        expect(html).toContain('<li class="task-list-item"><input checked="" disabled="" type="checkbox"> Run the tests</li>');
+        expect(html).toContain('<li class="task-list-item"><input disabled="" type="checkbox"> Deploy</li>');
+        expect(html).toContain('<del>old</del>');
+        expect(html).toContain('href="https://docs.copado.com"');
+        expect(html).toContain('rel="noopener noreferrer"');
+    });
+
+    it('renders the autolinks of www and e-mail addresses', () => {
+        const html = renderMarkdown('see www.copado.com or support@copado.com');
+        expect(html).toContain('<a href="http://www.copado.com" target="_blank" rel="noopener noreferrer">www.copado.com</a>');
+        expect(html).toContain('<a href="mailto:support@copado.com" target="_blank" rel="noopener noreferrer">support@copado.com</a>');
+    });
+
+    it('highlights the code blocks of the supported languages', () => {
+        const html = renderMarkdown("```apex\nString s = 'x';\n```");
+        expect(html).toBe('<pre><code class="language-apex"><span class="hl-type">String</span> s = '
+            + '<span class="hl-string">\'x\'</span>;</code></pre>\n');
+    });
+
+    it('escapes the code blocks of other languages', () => {
+        expect(renderMarkdown('```python\nprint(1<2)\n```')).toBe('<pre><code class="language-python">print(1&lt;2)</code></pre>\n');
+        expect(renderMarkdown('```\n<a href="x">\n```')).toBe('<pre><code>&lt;a href="x"&gt;</code></pre>\n');
+    });
+
+    it('is sanitized', () => {
+        expect(renderMarkdown('<img src=x onerror=alert(1)>[x](javascript:alert(1))')).not.toMatch(/onerror|javascript/);
+    });
+});
+
+describe('highlight', () => {
+    it('highlights Apex, and the SOQL inside it', () => {
+        expect(highlight('@isTest\nList<Account> a = [SELECT Id FROM Account WHERE Name = :name];', 'apex')).toBe(
+            '<span class="hl-annotation">@isTest</span>\n<span class="hl-type">List</span>&lt;Account&gt; a = '
+            + '<span class="hl-soql">[<span class="hl-keyword">SELECT</span> Id <span class="hl-keyword">FROM</span> Account '
+            + '<span class="hl-keyword">WHERE</span> Name = <span class="hl-variable">:name</span>]</span>;'
+        );
+    });
+
+    it('highlights SOQL', () => {
+        expect(highlight("select Name from Account where CreatedDate = LAST_N_DAYS:3 and Type = 'x'", 'soql')).toBe(
+            '<span class="hl-keyword">select</span> Name <span class="hl-keyword">from</span> Account '
+            + '<span class="hl-keyword">where</span> CreatedDate = <span class="hl-literal">LAST_N_DAYS:3</span> '
+            + '<span class="hl-keyword">and</span> Type = <span class="hl-string">&#39;x&#39;</span>'
+        );
+    });
+
+    it('highlights JSON', () => {
+        expect(highlight('{"a": [1, true, "b"]}', 'json')).toBe(
+            '{<span class="hl-attr">&quot;a&quot;</span>: [<span class="hl-number">1</span>, '
+            + '<span class="hl-literal">true</span>, <span class="hl-string">&quot;b&quot;</span>]}'
+        );
+    });
+
+    it('highlights XML', () => {
+        expect(highlight('<!-- c --><fullName a="b">X</fullName>', 'xml')).toBe(
+            '<span class="hl-comment">&lt;!-- c --&gt;</span><span class="hl-tag">&lt;fullName '
+            + '<span class="hl-attr">a</span>=<span class="hl-string">&quot;b&quot;</span>&gt;</span>X'
+            + '<span class="hl-tag">&lt;/fullName&gt;</span>'
+        );
+    });
+
+    it('highlights YAML', () => {
+        expect(highlight('steps:\n  - name: "x" # c\n    enabled: true', 'yml')).toBe(
+            '<span class="hl-attr">steps</span>:\n  - <span class="hl-attr">name</span>: '
+            + '<span class="hl-string">&quot;x&quot;</span> <span class="hl-comment"># c</span>\n    '
+            + '<span class="hl-attr">enabled</span>: <span class="hl-literal">true</span>'
+        );
+    });
+
+    it('does not highlight unknown languages', () => {
+        expect(highlight('x', 'python')).toBeNull();
+        expect(highlight('x')).toBeNull();
+    });
+});
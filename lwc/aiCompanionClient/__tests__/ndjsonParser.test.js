@@ -0,0 +1,86 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { NdjsonParser, SseParser } from '../ndjsonParser';
+
+// jsdom does not have TextDecoder
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const encoder = new TextEncoder();
+
+// the bytes of text, cut at the given byte offsets, as reader.read() returns them
+function chunks(text, ...offsets) {
+    const bytes = encoder.encode(text);
+    const bounds = [0, ...offsets, bytes.length];
+    return bounds.slice(1).map((end, i) => bytes.slice(bounds[i], end));
+}
+
+function parseAll(parser, parts) {
+    const events = [];
+    parts.forEach((part) => events.push(...parser.push(part)));
+    events.push(...parser.flush());
+    return events;
+}
+
+describe('NdjsonParser', () => {
+    it('joins an event split across chunks', () => {
+        const parser = new NdjsonParser();
+        expect(parser.push('{"type":"token","con')).toEqual([]);
+        expect(parser.push('tent":"Hello"}\n')).toEqual([{ type: 'token', content: 'Hello' }]);
+        expect(parser.flush()).toEqual([]);
+    });
+
+    it('joins an event split in every possible place', () => {
+        const line = '{"type":"status","content":"Deploying"}\n';
+        for(let i = 1; i < line.length; i++) {
+            expect(parseAll(new NdjsonParser(), [line.substring(0, i), line.substring(i)]))
+                .toEqual([{ type: 'status', content: 'Deploying' }]);
+        }
+    });
+
+    it('joins a multi-byte character split across chunks', () => {
+        const text = '{"type":"token","content":"Déploiement ✓ 🚀"}\n';
+        const bytes = encoder.encode(text);
+        // every cut, including the ones inside é (2 bytes), ✓ (3 bytes) and 🚀 (4 bytes)
+        for(let i = 1; i < bytes.length; i++) {
+            expect(parseAll(new NdjsonParser(), chunks(text, i)))
+                .toEqual([{ type: 'token', content: 'Déploiement ✓ 🚀' }]);
+        }
+        const emoji = text.indexOf('🚀');
+        const start = encoder.encode(text.substring(0, emoji)).length;
+        expect(parseAll(new NdjsonParser(), chunks(text, start + 1, start + 2, start + 3)))
+            .toEqual([{ type: 'token', content: 'Déploiement ✓ 🚀' }]);
+    });
+
+    it('returns several events of one chunk in order', () => {
+        const parser = new NdjsonParser();
+        const events = parser.push(encoder.encode(
+            '{"type":"status","content":"Thinking"}\n{"type":"token","content":"A"}\n\n{"type":"token","content":"B"}\n{"type":"tok'));
+        expect(events).toEqual([
+            { type: 'status', content: 'Thinking' },
+            { type: 'token', content: 'A' },
+            { type: 'token', content: 'B' }
+        ]);
+        expect(parser.push('en","content":"C"}\n')).toEqual([{ type: 'token', content: 'C' }]);
+    });
+
+    it('returns the trailing line without a newline on flush', () => {
+        const parser = new NdjsonParser();
+        expect(parser.push('{"type":"token","content":"A"}\n{"type":"token","content":"end"}')).toEqual([{ type: 'token', content: 'A' }]);
+        expect(parser.flush()).toEqual([{ type: 'token', content: 'end' }]);
+        expect(parser.flush()).toEqual([]);
+    });
+
+    it('skips lines that are not JSON', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(parseAll(new NdjsonParser(), ['not json\r\n{"type":"token","content":"A"}\r\n'])).toEqual([{ type: 'token', content: 'A' }]);
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+    });
+});
+
+describe('SseParser', () => {
+    it('reads the data lines across chunks and ignores the end marker', () => {
+        const stream = 'event: message\ndata: {"choices":[{"delta":{"content":"Hé"}}]}\n\ndata: [DONE]\n\n';
+        const events = parseAll(new SseParser(), chunks(stream, 30, 47));
+        expect(events).toEqual([{ choices: [{ delta: { content: 'Hé' } }] }]);
+    });
+});
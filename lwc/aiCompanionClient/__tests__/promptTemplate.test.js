@@ -0,0 +1,94 @@
+import { parseTemplate, getDataRequest, renderTemplate } from '../promptTemplate';
+
+const data = {
+    record: {
+        Name: 'US-0001',
+        copado__Status__c: 'Draft',
+        copado__Epic__c: null,
+        'copado__Project__r.Name': 'Billing',
+        copado__Description__c: 'line 1\nline 2\nline 3\nline 4',
+    },
+    relatedLists: {
+        copado__Promoted_User_Stories__r: [
+            { 'copado__User_Story__r.Name': 'US-0001' },
+            { 'copado__User_Story__r.Name': 'US-0002' },
+        ],
+        copado__Tasks__r: [],
+    },
+    logs: { deploymentErrors: 'Missing field' },
+};
+
+function render(text) {
+    return renderTemplate(parseTemplate(text), data);
+}
+
+describe('parseTemplate', () => {
+    it('keeps text without tags as it is', () => {
+        const template = parseTemplate('Explain {keyword} and {SELECT Id FROM Account}');
+        expect(template.hasTags).toBe(false);
+        expect(template.errors).toEqual([]);
+        expect(renderTemplate(template, data).text).toBe('Explain {keyword} and {SELECT Id FROM Account}');
+        expect(parseTemplate(undefined).nodes).toEqual([]);
+    });
+
+    it('returns what to query for all the templates', () => {
+        const prompt = parseTemplate('{{Name}} {{copado__Project__r.Name}} {{logs.deploymentErrors}}'
+            + '{{#each copado__Promoted_User_Stories__r}}{{copado__User_Story__r.Name}}{{/each}}');
+        const system = parseTemplate('{{#if copado__Epic__c}}{{copado__Epic__r.Name}}{{/if}} {{Name}}');
+        expect(getDataRequest(prompt, system)).toEqual({
+            fields: ['Name', 'copado__Project__r.Name', 'copado__Epic__c', 'copado__Epic__r.Name'],
+            relatedLists: { copado__Promoted_User_Stories__r: ['copado__User_Story__r.Name'] },
+            logs: ['deploymentErrors'],
+        });
+    });
+});
+
+describe('renderTemplate', () => {
+    it('renders fields, fields of related records and logs', () => {
+        const result = render('{{ Name }} of {{copado__Project__r.Name}} is {{copado__Status__c}}{{copado__Epic__c}}: {{logs.deploymentErrors}}');
+        expect(result).toEqual({ text: 'US-0001 of Billing is Draft: Missing field', errors: [] });
+    });
+
+    it('renders each record of a related list', () => {
+        const result = render('{{#each copado__Promoted_User_Stories__r}}\n- {{copado__User_Story__r.Name}}{{/each}}{{#each copado__Tasks__r}}task{{/each}}');
+        expect(result).toEqual({ text: '\n- US-0001\n- US-0002', errors: [] });
+    });
+
+    it('renders the branch of the condition', () => {
+        expect(render('{{#if copado__Status__c}}status{{else}}none{{/if}}').text).toBe('status');
+        expect(render('{{#if copado__Epic__c}}epic{{else}}no epic{{/if}}').text).toBe('no epic');
+        expect(render('{{#if copado__Tasks__r}}tasks{{/if}}').text).toBe('');
+        expect(render('{{#if copado__Promoted_User_Stories__r}}stories{{/if}}').text).toBe('stories');
+    });
+
+    it('applies the filters from left to right', () => {
+        expect(render('{{Name | truncate:2}}').text).toBe('US...');
+        expect(render('{{Name | truncate:20}}').text).toBe('US-0001');
+        expect(render('{{copado__Description__c | head:2}}').text).toBe('line 1\nline 2');
+        expect(render('{{copado__Description__c | tail:1}}').text).toBe('line 4');
+        expect(render('{{copado__Description__c | tail:2 | truncate:4}}').text).toBe('line...');
+        expect(render('{{copado__Epic__c | default:"no epic | none"}}').text).toBe('no epic | none');
+        expect(render('{{Name | default:"none"}}').text).toBe('US-0001');
+    });
+
+    it('reports the variables that do not exist with their line', () => {
+        const result = render('Hello\n{{copado__Unknown__c}}\n{{#each copado__Promoted_User_Stories__r}}{{Name}}{{/each}}');
+        expect(result.text).toBe('Hello\n\n');
+        expect(result.errors).toEqual([
+            { type: 'unknown', line: 2, name: 'copado__Unknown__c' },
+            { type: 'unknown', line: 3, name: 'Name' },
+            { type: 'unknown', line: 3, name: 'Name' },
+        ]);
+    });
+
+    it('reports the syntax errors with their line', () => {
+        const errors = (text) => parseTemplate(text).errors.map(({ line, message }) => `${line}: ${message}`);
+        expect(errors('{{Na me}}')).toEqual(['1: "Na me" is not a valid variable']);
+        expect(errors('{{Name | upper}}')).toEqual(['1: unknown filter "upper"']);
+        expect(errors('{{Name | head:0}}')).toEqual(['1: the filter "head" needs a positive number, e.g. head:10']);
+        expect(errors('a\n{{#if Name}}')).toEqual(['2: {{#if Name}} is not closed with {{/if}}']);
+        expect(errors('{{else}}{{/each}}')).toEqual(['1: {{else}} without {{#if}}', '1: {{/each}} without {{#each}}']);
+        expect(errors('{{#each a__r}}{{#each b__r}}{{/each}}{{/each}}')).toEqual(['1: related lists cannot be nested']);
+        expect(render('{{Na me}}').errors).toEqual([{ type: 'syntax', line: 1, message: '"Na me" is not a valid variable' }]);
+    });
+});
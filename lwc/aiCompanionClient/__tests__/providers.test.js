@@ -0,0 +1,121 @@
+import { TextDecoder } from 'util';
+import { getProvider, PROVIDER_COPADO, PROVIDER_OPENAI, PROVIDER_AZURE_OPENAI, PROVIDER_ANTHROPIC,
+    PROVIDER_OLLAMA } from '../providers';
+
+// jsdom does not have TextDecoder
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const config = { url: 'https://backend.example.com/chat', model: 'a-model', temperature: 0.2, maxTokens: 500, headers: { sessionId: 's1' } };
+const body = {
+    messages: [
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'Deploy it' },
+        { role: 'assistant', content: null, function_call: { name: 'Deploy', arguments: '{"id":"a01"}' } },
+        { role: 'function', name: 'Deploy', content: 'Deployed' },
+    ],
+    functions: [{ name: 'Deploy', description: 'Deploys a promotion', parameters: { type: 'object' } }],
+};
+
+// feeds the stream one character at a time, the worst split possible
+function parse(providerName, stream) {
+    const parser = getProvider(providerName).createParser();
+    const events = [];
+    for(const char of stream) {
+        events.push(...parser.push(char));
+    }
+    events.push(...parser.flush());
+    return events;
+}
+
+function sse(...objects) {
+    return objects.map((o) => `data: ${JSON.stringify(o)}\n\n`).join('') + 'data: [DONE]\n\n';
+}
+
+describe('buildRequest', () => {
+    it('sends the Copado body with the session headers', () => {
+        expect(getProvider(PROVIDER_COPADO).buildRequest(body, config)).toEqual({ url: config.url, headers: config.headers, body });
+        expect(getProvider('Unknown')).toBe(getProvider(PROVIDER_COPADO));
+    });
+
+    it('sends the other providers to their proxy with its token, without any key', () => {
+        [PROVIDER_OPENAI, PROVIDER_AZURE_OPENAI, PROVIDER_ANTHROPIC, PROVIDER_OLLAMA].forEach((name) => {
+            const request = getProvider(name).buildRequest(body, config);
+            expect(request.url).toBe(config.url);
+            expect(request.headers).toBe(config.headers);
+            expect(request.body.stream).toBe(true);
+        });
+    });
+
+    it('converts the messages and functions for Anthropic', () => {
+        const request = getProvider(PROVIDER_ANTHROPIC).buildRequest(body, config).body;
+        expect(request.system).toBe('Be brief');
+        expect(request.messages).toEqual([
+            { role: 'user', content: 'Deploy it' },
+            { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'Deploy', input: { id: 'a01' } }] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: 'Deployed' }] },
+        ]);
+        expect(request.tools).toEqual([{ name: 'Deploy', description: 'Deploys a promotion', input_schema: { type: 'object' } }]);
+    });
+
+    it('leaves the model to the deployment url in Azure', () => {
+        expect(getProvider(PROVIDER_OPENAI).buildRequest(body, config).body.model).toBe('a-model');
+        expect(getProvider(PROVIDER_AZURE_OPENAI).buildRequest(body, config).body).not.toHaveProperty('model');
+    });
+});
+
+describe('createParser', () => {
+    it('passes the events of the Copado backend through', () => {
+        const stream = '{"type":"status","content":"Thinking"}\n{"type":"token","content":"Hé"}\n';
+        expect(parse(PROVIDER_COPADO, stream)).toEqual([
+            { type: 'status', content: 'Thinking' },
+            { type: 'token', content: 'Hé' },
+        ]);
+    });
+
+    it('normalises the OpenAI and Azure stream, assembling the function call', () => {
+        const stream = sse(
+            { choices: [{ delta: { content: 'Let me ' } }] },
+            { choices: [{ delta: { content: 'check' } }] },
+            { choices: [{ delta: { function_call: { name: 'Deploy', arguments: '{"id"' } } }] },
+            { choices: [{ delta: { function_call: { arguments: ':"a01"}' } } }] },
+            { choices: [{ delta: {}, finish_reason: 'function_call' }] },
+        );
+        const expected = [
+            { type: 'token', content: 'Let me ' },
+            { type: 'token', content: 'check' },
+            { type: 'function_call', function_call: { name: 'Deploy', arguments: '{"id":"a01"}' } },
+        ];
+        expect(parse(PROVIDER_OPENAI, stream)).toEqual(expected);
+        expect(parse(PROVIDER_AZURE_OPENAI, stream)).toEqual(expected);
+        expect(parse(PROVIDER_OPENAI, sse({ error: { message: 'Invalid model' } }))).toEqual([{ type: 'error', content: 'Invalid model' }]);
+    });
+
+    it('normalises the Anthropic stream, assembling the tool use', () => {
+        const stream = [
+            { type: 'message_start', message: {} },
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Deploying' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', name: 'Deploy' } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"id":' } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"a01"}' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'message_stop' },
+        ].map((o) => `event: ${o.type}\ndata: ${JSON.stringify(o)}\n\n`).join('');
+        expect(parse(PROVIDER_ANTHROPIC, stream)).toEqual([
+            { type: 'token', content: 'Deploying' },
+            { type: 'function_call', function_call: { name: 'Deploy', arguments: '{"id":"a01"}' } },
+        ]);
+        expect(parse(PROVIDER_ANTHROPIC, 'event: error\ndata: {"type":"error","error":{"message":"Overloaded"}}\n\n'))
+            .toEqual([{ type: 'error', content: 'Overloaded' }]);
+    });
+
+    it('normalises the Ollama stream', () => {
+        const stream = '{"message":{"role":"assistant","content":"Dep"}}\n{"message":{"role":"assistant","content":"loyed"}}\n{"done":true}\n';
+        expect(parse(PROVIDER_OLLAMA, stream)).toEqual([
+            { type: 'token', content: 'Dep' },
+            { type: 'token', content: 'loyed' },
+        ]);
+        expect(parse(PROVIDER_OLLAMA, '{"error":"model not found"}\n')).toEqual([{ type: 'error', content: 'model not found' }]);
+    });
+});
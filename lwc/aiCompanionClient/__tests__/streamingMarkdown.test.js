@@ -0,0 +1,99 @@
+import { StreamingMarkdownRenderer, scanBlocks } from '../streamingMarkdown';
+
+describe('StreamingMarkdownRenderer', () => {
+    let frames;
+    let element;
+
+    function runFrames() {
+        const callbacks = frames;
+        frames = [];
+        callbacks.forEach((callback) => callback());
+    }
+
+    beforeEach(() => {
+        frames = [];
+        global.requestAnimationFrame = jest.fn((callback) => frames.push(callback));
+        global.cancelAnimationFrame = jest.fn(() => {
+            frames = [];
+        });
+        element = document.createElement('div');
+    });
+
+    it('updates the DOM once per animation frame', () => {
+        const onRender = jest.fn();
+        const renderer = new StreamingMarkdownRenderer(element, { onRender });
+        renderer.update('Hel');
+        renderer.update('Hello');
+        renderer.update('Hello world');
+        expect(requestAnimationFrame).toHaveBeenCalledTimes(1);
+        expect(element.innerHTML).toBe('');
+
+        runFrames();
+        expect(element.innerHTML).toBe('<p>Hello world</p>\n');
+        expect(onRender).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not render the completed blocks again', () => {
+        const renderer = new StreamingMarkdownRenderer(element);
+        renderer.update('# Release notes\n\nFirst');
+        runFrames();
+        const heading = element.querySelector('h1');
+
+        renderer.update('# Release notes\n\nFirst paragraph\n\nSecond');
+        runFrames();
+        expect(element.querySelector('h1')).toBe(heading);
+        expect(element.querySelectorAll('p').length).toBe(2);
+        expect(element.textContent).toContain('Second');
+    });
+
+    it('keeps the trailing block when its HTML did not change', () => {
+        const renderer = new StreamingMarkdownRenderer(element);
+        renderer.update('See the docs');
+        runFrames();
+        const paragraph = element.querySelector('p');
+
+        renderer.update('See the docs\n');
+        runFrames();
+        expect(element.querySelector('p')).toBe(paragraph);
+    });
+
+    it('shows an unterminated code fence as code', () => {
+        const renderer = new StreamingMarkdownRenderer(element);
+        renderer.update('Try this:\n\n```apex\nString s = \'x\';\n\nInteger');
+        runFrames();
+        const code = element.querySelector('pre code.language-apex');
+        expect(code).not.toBeNull();
+        expect(code.textContent).toBe('String s = \'x\';\n\nInteger');
+    });
+
+    it('renders the whole text when finished, if it is different', () => {
+        const renderer = new StreamingMarkdownRenderer(element);
+        renderer.update('See [the docs][1]\n\n[1]: https://docs.copado.com\n');
+        runFrames();
+        expect(element.querySelector('a')).toBeNull();
+
+        renderer.finish();
+        expect(element.querySelector('a').getAttribute('href')).toBe('https://docs.copado.com');
+        expect(frames.length).toBe(0);
+    });
+
+    it('replaces the previous content of the element', () => {
+        element.innerHTML = '<p>old</p>';
+        const renderer = new StreamingMarkdownRenderer(element);
+        renderer.update('new');
+        runFrames();
+        expect(element.innerHTML).toBe('<p>new</p>\n');
+    });
+});
+
+describe('scanBlocks', () => {
+    it('finds the end of the last complete block', () => {
+        expect(scanBlocks('One\n\nTwo\n\nThr')).toEqual({ boundary: 10, fence: null });
+        expect(scanBlocks('One')).toEqual({ boundary: 0, fence: null });
+    });
+
+    it('ignores the blank lines inside code fences', () => {
+        expect(scanBlocks('One\n\n```xml\n<a/>\n\n<b/>')).toEqual({ boundary: 5, fence: '```' });
+        expect(scanBlocks('One\n\n~~~~\n```\n\n~~~~\n\nTwo')).toEqual({ boundary: 21, fence: null });
+    });
+});
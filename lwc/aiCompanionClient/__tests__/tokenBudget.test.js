@@ -0,0 +1,77 @@
+import { fitToBudget, estimateTokens, estimateMessagesTokens } from '../tokenBudget';
+
+const system = { role: 'system', content: 'You help with Copado' };
+
+// a turn of about tokens tokens: the question and its answer
+function turn(question, tokens = 100) {
+    return [
+        { role: 'user', content: question },
+        { role: 'assistant', content: 'x'.repeat(tokens * 4) },
+    ];
+}
+
+describe('estimateTokens', () => {
+    it('counts about 4 characters per token and 1 per CJK character', () => {
+        expect(estimateTokens('')).toBe(0);
+        expect(estimateTokens(undefined)).toBe(0);
+        expect(estimateTokens('abcdefgh')).toBe(2);
+        expect(estimateTokens('abcdefghi')).toBe(3);
+        expect(estimateTokens('デプロイ')).toBe(4);
+    });
+});
+
+describe('fitToBudget', () => {
+    it('keeps everything when it fits', () => {
+        const messages = [system, ...turn('First?'), ...turn('Second?')];
+        const result = fitToBudget(messages, 1000);
+
+        expect(result.messages).toEqual(messages);
+        expect(result.tokens).toBe(estimateMessagesTokens(messages));
+        expect(result.droppedCount).toBe(0);
+    });
+
+    it('drops the oldest turns first and summarizes them', () => {
+        const messages = [system, ...turn('First?'), ...turn('Second?'), ...turn('Third?'), { role: 'user', content: 'Last?' }];
+        const result = fitToBudget(messages, 250);
+
+        expect(result.droppedCount).toBe(4);
+        expect(result.messages[0]).toBe(system);
+        expect(result.messages[1].role).toBe('system');
+        expect(result.messages[1].content).toContain('- First?\n- Second?');
+        expect(result.messages.slice(2)).toEqual([...turn('Third?'), { role: 'user', content: 'Last?' }]);
+        expect(result.tokens).toBeLessThanOrEqual(250);
+    });
+
+    it('never separates an Action call from its result', () => {
+        const action = [
+            { role: 'user', content: 'Deploy it' },
+            { role: 'assistant', content: null, function_call: { name: 'Deploy', arguments: '{}' } },
+            { role: 'function', name: 'Deploy', content: 'y'.repeat(400) },
+        ];
+        const result = fitToBudget([system, ...action, ...turn('Next?', 10)], 60);
+
+        expect(result.droppedCount).toBe(3);
+        expect(result.messages.some((m) => m.role === 'function' || m.function_call)).toBe(false);
+    });
+
+    it('shortens long questions in the summary', () => {
+        const long = 'why   ' + 'a'.repeat(200);
+        const result = fitToBudget([...turn(long), { role: 'user', content: 'Last?' }], 80);
+        const summary = result.messages[0].content.split('\n').pop();
+
+        expect(summary.startsWith('- why a')).toBe(true);
+        expect(summary.endsWith('...')).toBe(true);
+        expect(summary.length).toBe(2 + 100);
+    });
+
+    it('truncates the beginning of a latest turn that does not fit on its own', () => {
+        const prompt = { role: 'user', content: 'Explain these logs:\n' + 'log line\n'.repeat(500) };
+        const result = fitToBudget([system, prompt], 200);
+
+        expect(result.droppedCount).toBe(0);
+        expect(result.messages[0]).toBe(system);
+        expect(result.messages[1].content.startsWith('Explain these logs:')).toBe(true);
+        expect(result.messages[1].content.endsWith('[...truncated to fit the context of the AI]')).toBe(true);
+        expect(result.tokens).toBeLessThanOrEqual(200);
+    });
+});
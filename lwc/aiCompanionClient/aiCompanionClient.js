@@ -0,0 +1,171 @@
+/**
+ * Shared code to talk to the AI: provider adapters, stream parsing, token budgeting, prompt templates,
+ * attached files, the markdown rendering of the answers, the export of the conversations and the record they are about.
+ * Used by aiCompanionStreaming (the chat) and aiCompanionPromptConsole (the prompt authoring of admins)
+ */
+import getTemplateData from '@salesforce/apex/PromptTemplateService.getTemplateData';
+import PROMPT_TEMPLATE_UNKNOWN_VARIABLE from '@salesforce/label/c.PROMPT_TEMPLATE_UNKNOWN_VARIABLE';
+import PROMPT_TEMPLATE_SYNTAX_ERROR from '@salesforce/label/c.PROMPT_TEMPLATE_SYNTAX_ERROR';
+import ERROR_BACKEND from '@salesforce/label/c.ERROR_BACKEND';
+import ERROR_AI_AUTH from '@salesforce/label/c.ERROR_AI_AUTH';
+import ERROR_AI_RATE_LIMIT from '@salesforce/label/c.ERROR_AI_RATE_LIMIT';
+import ERROR_AI_TIMEOUT from '@salesforce/label/c.ERROR_AI_TIMEOUT';
+import ERROR_AI_OFFLINE from '@salesforce/label/c.ERROR_AI_OFFLINE';
+import ERROR_AI_UNAVAILABLE from '@salesforce/label/c.ERROR_AI_UNAVAILABLE';
+import ERROR_AI_REQUEST from '@salesforce/label/c.ERROR_AI_REQUEST';
+
+import { getProvider } from './providers';
+import { parseTemplate, getDataRequest, renderTemplate } from './promptTemplate';
+import { fetchWithRetry, BackendError, ERROR_AUTH, ERROR_RATE_LIMIT, ERROR_TIMEOUT, ERROR_OFFLINE, ERROR_UNAVAILABLE,
+    ERROR_REQUEST } from './backendErrors';
+
+export { getProvider } from './providers';
+export { NdjsonParser, SseParser } from './ndjsonParser';
+export { fitToBudget, estimateTokens, estimateMessagesTokens, DEFAULT_CONTEXT_TOKEN_BUDGET, DEFAULT_MAX_TOKENS } from './tokenBudget';
+export { parseTemplate, getDataRequest, renderTemplate } from './promptTemplate';
+export { sanitizeHtml, safeUrl } from './sanitizer';
+export { highlight } from './syntaxHighlight';
+export { renderMarkdown } from './markdownRenderer';
+export { StreamingMarkdownRenderer } from './streamingMarkdown';
+export { decorateCodeBlocks, getCodeBlock, codeBlockFileName, downloadCodeBlock,
+    CODE_ACTION_COPY, CODE_ACTION_DOWNLOAD, CODE_ACTION_INSERT } from './codeBlocks';
+export { chunkText, selectChunks, formatAttachments, attachmentsBudget } from './attachments';
+export { downloadText } from './download';
+export { conversationTitle, exportFileName, conversationToMarkdown, conversationToHtml, conversationToRichText, toRichText,
+    EXPORT_MARKDOWN, EXPORT_HTML, EXPORT_NOTE, EXPORT_CHATTER, CHATTER_MAX_LENGTH } from './conversationExport';
+export { resolveRecordContext, normalizeRecordId, recordIdFromUrl, recordIdFromPageReference,
+    SOURCE_COMPONENT, SOURCE_PAGE, SOURCE_CONSOLE, SOURCE_URL, SOURCE_MANUAL } from './recordContext';
+export { BackendError, classifyResponse, classifyError, fetchWithRetry, retryDelay, MAX_RETRIES,
+    ERROR_AUTH, ERROR_RATE_LIMIT, ERROR_TIMEOUT, ERROR_OFFLINE, ERROR_UNAVAILABLE, ERROR_REQUEST } from './backendErrors';
+
+const BACKEND_ERROR_LABELS = {
+    [ERROR_AUTH]: ERROR_AI_AUTH,
+    [ERROR_RATE_LIMIT]: ERROR_AI_RATE_LIMIT,
+    [ERROR_TIMEOUT]: ERROR_AI_TIMEOUT,
+    [ERROR_OFFLINE]: ERROR_AI_OFFLINE,
+    [ERROR_UNAVAILABLE]: ERROR_AI_UNAVAILABLE,
+    [ERROR_REQUEST]: ERROR_AI_REQUEST,
+};
+
+const DEFAULT_SYSTEM_PROMPT = "You need to assist the person asking you questions and tasks about Copado. Copado is a Salesforce Devops and Deployment tool, and most of changes in User Stories, Promotions and Deployments are related to Salesforce features and Salesforce metadata.";
+
+/**
+ * The system message of a conversation: the "System prompt before" of the prompt, or the default one
+ */
+export function systemPrompt(before) {
+    return (before || DEFAULT_SYSTEM_PROMPT) + '\nThe reply you give should be in Markdown format.';
+}
+
+/**
+ * Renders the template language (see promptTemplate.js) of the prompt and the system prompt of questionRec,
+ * with the data of the record contextId.
+ * Returns {questionRec, errors}, errors being {key, message} ready to be shown
+ */
+export async function renderPromptTemplates(contextId, questionRec) {
+    const prompt = parseTemplate(questionRec.prompt);
+    const before = parseTemplate(questionRec.before);
+    if(!prompt.hasTags && !before.hasTags) {
+        return { questionRec, errors: [] };
+    }
+    const data = await getTemplateData({
+        contextId,
+        request: JSON.stringify(getDataRequest(prompt, before))
+    });
+    const renderedPrompt = renderTemplate(prompt, data);
+    const renderedBefore = renderTemplate(before, data);
+    const errors = renderedBefore.errors.concat(renderedPrompt.errors).map((e, i) => ({
+        key: i,
+        message: e.type === 'unknown'
+            ? PROMPT_TEMPLATE_UNKNOWN_VARIABLE.replace('{0}', e.name).replace('{1}', e.line)
+            : PROMPT_TEMPLATE_SYNTAX_ERROR.replace('{0}', e.message).replace('{1}', e.line),
+    }));
+    return {
+        questionRec: {...questionRec, prompt: renderedPrompt.text, before: renderedBefore.text},
+        errors,
+    };
+}
+
+/**
+ * The message to show for an error of the AI backend (see backendErrors.js), or of anything else
+ */
+export function backendErrorMessage(error) {
+    if(error instanceof BackendError && BACKEND_ERROR_LABELS[error.type]) {
+        return BACKEND_ERROR_LABELS[error.type].replace('{0}', error.message);
+    }
+    return `${ERROR_BACKEND}: ${error?.body?.message || error}`;
+}
+
+/**
+ * Headers expected by the Copado AI backend.
+ * settings is the result of OpenAIQuestionProcessor.getAvailableQuestionsFor
+ */
+export function copadoHeaders(settings, token, sessionId) {
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+        'userId': settings.userId,
+        'orgId': settings.orgId,
+        'sessionId': sessionId
+    };
+}
+
+/**
+ * Sends the request of buildRequest(), called again for each attempt of fetchWithRetry (with options),
+ * so that a renewed session or token is used: the Copado backend and the proxy of the other providers both stream
+ */
+export function fetchFromProvider(buildRequest, options = {}) {
+    return fetchWithRetry((signal) => {
+        const request = buildRequest();
+        return fetch(request.url, {
+            method: 'POST',
+            headers: request.headers,
+            body: JSON.stringify(request.body),
+            signal,
+        });
+    }, options);
+}
+
+/**
+ * Sends a single question (no Actions) and streams the answer, calling onToken with the text so far.
+ * Errors of the backend are retried when it makes sense, see fetchWithRetry().
+ * Resolves with the whole answer.
+ * settings is the result of OpenAIQuestionProcessor.getAvailableQuestionsFor, and token the one of OpenAiApiService.getAuthToken
+ */
+export async function streamAnswer({ settings, token, sessionId, messages, onToken, signal }) {
+    const provider = getProvider(settings.provider);
+    const request = provider.buildRequest({
+        messages,
+        enable_tooling: false,
+        prompt: messages.filter((m) => m.role === 'user').pop()?.content,
+        functions: [],
+        max_tokens: settings.maxTokens,
+        client_version: 'v1'
+    }, {
+        url: settings.backendUrl,
+        model: settings.model,
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens,
+        headers: copadoHeaders(settings, token, sessionId),
+    });
+    const response = await fetchFromProvider(() => request, { signal });
+
+    const reader = response.body.getReader();
+    const parser = provider.createParser();
+    let answer = '';
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+        // eslint-disable-next-line no-await-in-loop
+        const { done, value } = await reader.read();
+        for(const event of done ? parser.flush() : parser.push(value)) {
+            if(event.type === 'token') {
+                answer += event.content;
+                onToken?.(answer);
+            }else if(event.type === 'error') {
+                throw new Error(event.content);
+            }
+        }
+        if(done) {
+            return answer;
+        }
+    }
+}
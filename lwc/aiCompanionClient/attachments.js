@@ -0,0 +1,112 @@
+/**
+ * Files of the record attached to a question (job logs, scan results, ...), fitted into the context of the AI.
+ *
+ * Logs are usually much bigger than the budget, and the interesting part is rarely at the beginning:
+ * each file is split in chunks of lines, and the chunks that mention errors and the end of the file
+ * (where the failure usually is) are kept first, then the beginning, then the rest, in their original order.
+ */
+import { estimateTokens } from './tokenBudget';
+
+const CHUNK_TOKENS = 250;
+// the files can take up to this part of the context, the rest is for the conversation and the question
+const ATTACHMENTS_BUDGET_RATIO = 0.5;
+const MIN_FILE_TOKENS = 100;
+const ERROR_REGEX = /\b(error|errors|exception|fail|failed|failure|fatal|invalid|denied|not found)\b/i;
+
+/**
+ * Splits text in chunks of whole lines of about maxTokens each: [{start, end, text, tokens}], start and end being line numbers
+ */
+export function chunkText(text, maxTokens = CHUNK_TOKENS) {
+    const chunks = [];
+    let current = null;
+    (text || '').split(/\r?\n/).forEach((line, index) => {
+        const tokens = estimateTokens(line) + 1;
+        if(!current || (current.tokens + tokens > maxTokens && current.lines.length)) {
+            current = { start: index, lines: [], tokens: 0 };
+            chunks.push(current);
+        }
+        current.lines.push(line);
+        current.tokens += tokens;
+    });
+    return chunks.map((c) => ({ start: c.start, end: c.start + c.lines.length, text: c.lines.join('\n'), tokens: c.tokens }));
+}
+
+/**
+ * Returns the text of the chunks that fit in maxTokens, most relevant first (see above),
+ * with a marker where lines were left out
+ */
+export function selectChunks(chunks, maxTokens) {
+    const byRelevance = chunks
+        .map((chunk, index) => ({ chunk, index, score: relevance(chunk, index, chunks.length) }))
+        .sort((a, b) => b.score - a.score || b.index - a.index);
+    const selected = [];
+    let tokens = 0;
+    for(const { chunk, index } of byRelevance) {
+        if(tokens + chunk.tokens <= maxTokens) {
+            selected.push(index);
+            tokens += chunk.tokens;
+        }
+    }
+    selected.sort((a, b) => a - b);
+
+    const parts = [];
+    let nextLine = 0;
+    for(const index of selected) {
+        const chunk = chunks[index];
+        if(chunk.start > nextLine) {
+            parts.push(omitted(chunk.start - nextLine));
+        }
+        parts.push(chunk.text);
+        nextLine = chunk.end;
+    }
+    const lastLine = chunks.length ? chunks[chunks.length-1].end : 0;
+    if(lastLine > nextLine) {
+        parts.push(omitted(lastLine - nextLine));
+    }
+    return parts.join('\n');
+}
+
+/**
+ * The tokens the attached files can take, for a question
+ */
+export function attachmentsBudget(inputTokenBudget, question) {
+    return Math.max(0, Math.floor(inputTokenBudget * ATTACHMENTS_BUDGET_RATIO) - estimateTokens(question));
+}
+
+/**
+ * Formats the files ([{title, content, error}]) to be sent with the question, within maxTokens.
+ * The budget is shared between the files, what a small file does not use is left for the others
+ */
+export function formatAttachments(files, maxTokens) {
+    const sections = files.map((file) => ({ file, header: `### ${file.title}\n`, chunks: chunkText(file.content) }));
+    let available = maxTokens - sections.reduce((sum, s) => sum + estimateTokens(s.header) + 2, 0);
+    // the smallest files first, so they are complete and leave the rest to the bigger ones
+    const bySize = sections.filter((s) => !s.file.error)
+        .sort((a, b) => totalTokens(a.chunks) - totalTokens(b.chunks));
+    bySize.forEach((section, index) => {
+        const share = Math.max(MIN_FILE_TOKENS, Math.floor(available / (bySize.length - index)));
+        section.text = selectChunks(section.chunks, share);
+        available -= Math.min(share, totalTokens(section.chunks));
+    });
+    return 'The user attached these files of the record:\n\n' + sections.map((s) => s.header + (s.file.error
+        ? `(${s.file.error})`
+        : '```\n' + s.text + '\n```')).join('\n\n');
+}
+
+function relevance(chunk, index, count) {
+    if(ERROR_REGEX.test(chunk.text)) {
+        return 3;
+    }
+    if(index === count - 1) {
+        return 2;
+    }
+    return index === 0 ? 1 : 0;
+}
+
+function totalTokens(chunks) {
+    return chunks.reduce((sum, c) => sum + c.tokens, 0);
+}
+
+function omitted(lines) {
+    return `[... ${lines} lines left out to fit the context of the AI ...]`;
+}
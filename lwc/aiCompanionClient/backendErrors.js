@@ -0,0 +1,200 @@
+/**
+ * Errors of the AI backend, classified so they can be explained to the user and retried when it makes sense:
+ *   - auth: the session or the API key was rejected (the Copado backend session is renewed once first)
+ *   - rateLimit: too many requests (429), retried after the Retry-After header if any
+ *   - timeout: no response in time (408, 504 or REQUEST_TIMEOUT)
+ *   - offline: the browser has no network
+ *   - unavailable: the backend is down or unreachable (5xx, network errors)
+ *   - request: the backend rejected the request (other 4xx), retrying will not help
+ * Retryable errors are retried with exponential backoff, see fetchWithRetry().
+ */
+
+export const ERROR_AUTH = 'auth';
+export const ERROR_RATE_LIMIT = 'rateLimit';
+export const ERROR_TIMEOUT = 'timeout';
+export const ERROR_OFFLINE = 'offline';
+export const ERROR_UNAVAILABLE = 'unavailable';
+export const ERROR_REQUEST = 'request';
+
+export const MAX_RETRIES = 3;
+// until the response starts, the stream itself can take longer
+export const REQUEST_TIMEOUT = 60000;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 30000;
+
+const RETRYABLE = [ERROR_RATE_LIMIT, ERROR_TIMEOUT, ERROR_OFFLINE, ERROR_UNAVAILABLE];
+
+export class BackendError extends Error {
+    constructor(type, message, { status, retryAfter } = {}) {
+        super(message);
+        this.name = 'BackendError';
+        this.type = type;
+        this.status = status;
+        // milliseconds, when the backend said how long to wait
+        this.retryAfter = retryAfter;
+    }
+
+    get retryable() {
+        return RETRYABLE.includes(this.type);
+    }
+}
+
+/**
+ * The error of a response that is not ok
+ */
+export function classifyResponse(response) {
+    const status = response.status;
+    const message = `${status} ${response.statusText || ''}`.trim();
+    if(status === 401 || status === 403) {
+        return new BackendError(ERROR_AUTH, message, { status });
+    }
+    if(status === 429) {
+        return new BackendError(ERROR_RATE_LIMIT, message, { status, retryAfter: parseRetryAfter(response.headers?.get('Retry-After')) });
+    }
+    if(status === 408 || status === 504) {
+        return new BackendError(ERROR_TIMEOUT, message, { status });
+    }
+    if(status >= 500) {
+        return new BackendError(ERROR_UNAVAILABLE, message, { status, retryAfter: parseRetryAfter(response.headers?.get('Retry-After')) });
+    }
+    return new BackendError(ERROR_REQUEST, message, { status });
+}
+
+/**
+ * The error of a failed fetch: fetch only rejects when the request could not be sent or was aborted
+ */
+export function classifyError(error, online = typeof navigator === 'undefined' || navigator.onLine !== false) {
+    if(error instanceof BackendError) {
+        return error;
+    }
+    if(error?.name === 'TimeoutError') {
+        return new BackendError(ERROR_TIMEOUT, error.message);
+    }
+    return new BackendError(online ? ERROR_UNAVAILABLE : ERROR_OFFLINE, error?.message || String(error));
+}
+
+/**
+ * Retry-After is either seconds or an HTTP date. Returns milliseconds, or undefined
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if(!value) {
+        return undefined;
+    }
+    if(/^\d+$/.test(value.trim())) {
+        return Number(value.trim()) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * How long to wait before the retry number attempt (1, 2, ...): what the backend asked for,
+ * or an exponential backoff with some jitter so that all the users do not retry at the same time
+ */
+export function retryDelay(attempt, error, random = Math.random) {
+    if(error?.retryAfter !== undefined) {
+        return Math.min(error.retryAfter, MAX_DELAY);
+    }
+    const delay = Math.min(BASE_DELAY * 2 ** (attempt - 1), MAX_DELAY);
+    return Math.round(delay / 2 + random() * delay / 2);
+}
+
+/**
+ * Calls request(signal), a fetch, until its response is ok. Returns the response.
+ * - onAuthError() is called once on a 401/403 (to renew the session), and the request sent again right away
+ * - retryable errors are retried up to maxRetries times, calling onRetry({error, attempt, delay}) before waiting
+ * - signal aborts everything (the stop button of the user), timeout only the attempt waiting for a response
+ */
+export async function fetchWithRetry(request, { signal, onAuthError, onRetry, maxRetries = MAX_RETRIES,
+        timeout = REQUEST_TIMEOUT, sleep = wait } = {}) {
+    let retries = 0;
+    let authRenewed = false;
+    // eslint-disable-next-line no-constant-condition
+    while(true) {
+        let error;
+        try{
+            // eslint-disable-next-line no-await-in-loop
+            const response = await withTimeout(request, signal, timeout);
+            if(response.ok) {
+                return response;
+            }
+            error = classifyResponse(response);
+        }catch(e) {
+            if(signal?.aborted) {
+                throw e;
+            }
+            error = classifyError(e);
+        }
+        if(error.type === ERROR_AUTH && onAuthError && !authRenewed) {
+            authRenewed = true;
+            // eslint-disable-next-line no-await-in-loop
+            await onAuthError(error);
+            continue;
+        }
+        if(!error.retryable || retries >= maxRetries) {
+            throw error;
+        }
+        retries++;
+        const delay = retryDelay(retries, error);
+        onRetry?.({ error, attempt: retries, delay });
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(delay, signal);
+    }
+}
+
+/**
+ * Resolves after ms, or rejects with an AbortError when signal is aborted
+ */
+export function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if(signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// PRIVATE
+
+/**
+ * Sends the request with its own signal: aborted by the signal of the caller, or when there is no response in time.
+ * The timeout stops once the response starts, so a long answer is not cut
+ */
+async function withTimeout(request, signal, timeout) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    try{
+        return await request(controller.signal);
+    }catch(e) {
+        if(timedOut) {
+            throw new BackendError(ERROR_TIMEOUT, `No response in ${Math.round(timeout / 1000)} seconds`);
+        }
+        signal?.removeEventListener('abort', onAbort);
+        throw e;
+    }finally{
+        clearTimeout(timer);
+    }
+}
+
+function abortError() {
+    const error = new Error('The request was aborted');
+    error.name = 'AbortError';
+    return error;
+}
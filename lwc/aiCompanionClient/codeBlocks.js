@@ -0,0 +1,110 @@
+/**
+ * Actions on the code blocks of the rendered answers: copy one block, download it as a file, insert it into the record.
+ *
+ * The sanitizer removes any button from the rendered markdown, so the buttons are added afterwards, to each <pre>.
+ * They have data-code-action, and their label in data-label (shown with CSS, so it is not part of the copied text):
+ * the component handles all their clicks with a single listener, see getCodeBlock().
+ */
+import { downloadText } from './download';
+
+export const CODE_ACTION_COPY = 'copy';
+export const CODE_ACTION_DOWNLOAD = 'download';
+export const CODE_ACTION_INSERT = 'insert';
+
+const LANGUAGE_CLASS_PREFIX = 'language-';
+const DEFAULT_FILE_NAME = 'snippet';
+
+const EXTENSIONS = {
+    apex: 'cls',
+    cls: 'cls',
+    trigger: 'trigger',
+    soql: 'soql',
+    sosl: 'sosl',
+    sql: 'sql',
+    json: 'json',
+    xml: 'xml',
+    html: 'html',
+    yaml: 'yml',
+    yml: 'yml',
+    javascript: 'js',
+    js: 'js',
+    css: 'css',
+    bash: 'sh',
+    sh: 'sh',
+    shell: 'sh',
+    java: 'java',
+    python: 'py',
+    csv: 'csv',
+};
+
+/**
+ * Adds the buttons of actions ([{name, label}]) to the code blocks of element that do not have them yet
+ */
+export function decorateCodeBlocks(element, actions) {
+    for(const pre of element.querySelectorAll('pre')) {
+        const code = pre.querySelector('code');
+        if(!code || pre.querySelector('.codeActions')) {
+            continue;
+        }
+        const language = languageOf(code);
+        if(language) {
+            pre.dataset.language = language;
+        }
+        const toolbar = document.createElement('div');
+        toolbar.className = 'codeActions';
+        for(const action of actions) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'codeAction';
+            button.title = action.label;
+            button.setAttribute('aria-label', action.label);
+            button.dataset.codeAction = action.name;
+            button.dataset.label = action.label;
+            toolbar.append(button);
+        }
+        pre.append(toolbar);
+    }
+}
+
+/**
+ * Returns the {action, code, language} of a click on a code block button, or null if it was not one
+ */
+export function getCodeBlock(target) {
+    const button = target?.closest?.('[data-code-action]');
+    const code = button?.closest('pre')?.querySelector('code');
+    if(!code) {
+        return null;
+    }
+    return { action: button.dataset.codeAction, code: code.textContent, language: languageOf(code) };
+}
+
+/**
+ * Returns the name of the file of a code block, e.g. package.xml, MyClass.cls or snippet.soql
+ */
+export function codeBlockFileName(code, language) {
+    const lang = (language || '').toLowerCase();
+    const trigger = code.match(/\btrigger\s+(\w+)\s+on\s+\w+/i);
+    if(trigger && ['', 'apex', 'trigger'].includes(lang)) {
+        return `${trigger[1]}.trigger`;
+    }
+    const apexClass = code.match(/\b(?:class|interface|enum)\s+(\w+)/i);
+    if(apexClass && ['apex', 'cls'].includes(lang)) {
+        return `${apexClass[1]}.cls`;
+    }
+    if(/<Package[\s>]/.test(code) && ['', 'xml'].includes(lang)) {
+        return 'package.xml';
+    }
+    return `${DEFAULT_FILE_NAME}.${EXTENSIONS[lang] || 'txt'}`;
+}
+
+/**
+ * Saves the code as a file, named after its content and language
+ */
+export function downloadCodeBlock(code, language) {
+    downloadText(codeBlockFileName(code, language), code);
+}
+
+function languageOf(code) {
+    const className = Array.from(code.classList).find((c) => c.startsWith(LANGUAGE_CLASS_PREFIX));
+    return className ? className.substring(LANGUAGE_CLASS_PREFIX.length) : '';
+}
@@ -0,0 +1,160 @@
+/**
+ * Exports a conversation (the messages shown, not the Action calls) as:
+ *   - Markdown, as the answers were written
+ *   - a standalone HTML page, rendered and sanitized like the chat
+ *   - rich text for a note or a Chatter post of the record. Both only support a few tags (p, b, i, u, s, code, ul, ol, li, a),
+ *     so the rendered answers are converted: headings become bold paragraphs, code blocks one paragraph per line, ...
+ */
+import { renderMarkdown } from './markdownRenderer';
+import { safeUrl } from './sanitizer';
+
+export const EXPORT_MARKDOWN = 'markdown';
+export const EXPORT_HTML = 'html';
+export const EXPORT_NOTE = 'note';
+export const EXPORT_CHATTER = 'chatter';
+
+// maximum length of the body of a Chatter post
+export const CHATTER_MAX_LENGTH = 10000;
+
+const MAX_TITLE_LENGTH = 80;
+const MAX_FILE_NAME_LENGTH = 60;
+
+const RICH_TEXT_TAGS = {
+    P: 'p', B: 'b', STRONG: 'b', I: 'i', EM: 'i', U: 'u', INS: 'u', S: 's', DEL: 's', CODE: 'code', UL: 'ul', OL: 'ol', LI: 'li',
+};
+
+const HTML_STYLE = 'body{font-family:sans-serif;max-width:60rem;margin:auto;padding:1rem;line-height:1.4}'
+    + 'section{border-bottom:1px solid #ddd;padding:0.5rem 0}pre{background:#f3f3f3;padding:0.5rem;overflow-x:auto}'
+    + 'table{border-collapse:collapse}td,th{border:1px solid #ddd;padding:0.25rem}';
+
+/**
+ * The title of a conversation: its first question, abbreviated
+ */
+export function conversationTitle(messages, fallback = 'AI Companion conversation') {
+    const question = exportedMessages(messages).find((m) => m.role === 'user')?.content?.replace(/\s+/g, ' ').trim();
+    if(!question) {
+        return fallback;
+    }
+    return question.length > MAX_TITLE_LENGTH ? question.substring(0, MAX_TITLE_LENGTH-3) + '...' : question;
+}
+
+/**
+ * The name of the file of an export, without the extension
+ */
+export function exportFileName(title) {
+    return title.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, MAX_FILE_NAME_LENGTH) || 'conversation';
+}
+
+export function conversationToMarkdown(messages, title) {
+    return `# ${title}\n\n` + exportedMessages(messages)
+        .map((m) => `### ${m.sender || m.role}\n\n${messageMarkdown(m)}\n`)
+        .join('\n');
+}
+
+export function conversationToHtml(messages, title) {
+    const sections = exportedMessages(messages)
+        .map((m) => `<section><h3>${escapeHtml(m.sender || m.role)}</h3>${renderMarkdown(messageMarkdown(m))}</section>`);
+    return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>`
+        + `<style>${HTML_STYLE}</style></head>\n<body><h1>${escapeHtml(title)}</h1>\n${sections.join('\n')}\n</body></html>\n`;
+}
+
+/**
+ * The conversation as rich text, for notes and Chatter posts.
+ * If it is longer than maxLength the oldest messages are left out
+ */
+export function conversationToRichText(messages, title, maxLength = Infinity) {
+    const header = `<p><b>${escapeHtml(title)}</b></p>`;
+    const parts = exportedMessages(messages)
+        .map((m) => `<p><b>${escapeHtml(m.sender || m.role)}</b></p>` + toRichText(renderMarkdown(messageMarkdown(m))));
+    let dropped = 0;
+    const build = () => header + (dropped ? `<p><i>${dropped} earlier messages were left out</i></p>` : '') + parts.slice(dropped).join('');
+    while(build().length > maxLength && dropped < parts.length - 1) {
+        dropped++;
+    }
+    const result = build();
+    // a single answer too long on its own: only its beginning, as plain text
+    return result.length <= maxLength ? result : truncatedText(messages, header, maxLength);
+}
+
+/**
+ * Converts sanitized HTML (see renderMarkdown) to the rich text supported by notes and Chatter posts
+ */
+export function toRichText(html) {
+    const template = document.createElement('template');
+    // eslint-disable-next-line @lwc/lwc/no-inner-html
+    template.innerHTML = html;
+    return convertChildren(template.content);
+}
+
+// PRIVATE
+
+function exportedMessages(messages) {
+    return (messages || []).filter((m) => !m.hidden && (m.content || m.link));
+}
+
+function messageMarkdown(message) {
+    return message.link ? `[${message.content || message.link}](${message.link})` : message.content;
+}
+
+function convertChildren(node) {
+    return Array.from(node.childNodes).map(convert).join('');
+}
+
+function convert(node) {
+    if(node.nodeType === Node.TEXT_NODE) {
+        // the new lines between blocks
+        return /^\s*\n\s*$/.test(node.textContent) ? '' : escapeHtml(node.textContent);
+    }
+    if(node.nodeType !== Node.ELEMENT_NODE) {
+        return '';
+    }
+    const tag = node.nodeName;
+    switch(tag) {
+        case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+            return `<p><b>${convertChildren(node)}</b></p>`;
+        case 'PRE':
+            return node.textContent.replace(/\n$/, '').split('\n')
+                .map((line) => `<p><code>${escapeHtml(line)}</code></p>`).join('');
+        case 'A': {
+            const href = safeUrl(node.getAttribute('href'));
+            return href && /^https?:/i.test(href) ? `<a href="${escapeHtml(href)}">${convertChildren(node)}</a>` : convertChildren(node);
+        }
+        case 'IMG': {
+            const src = safeUrl(node.getAttribute('src'));
+            return src ? `<a href="${escapeHtml(src)}">${escapeHtml(node.getAttribute('alt') || src)}</a>` : '';
+        }
+        case 'INPUT':
+            return node.checked || node.hasAttribute('checked') ? '[x] ' : '[ ] ';
+        case 'BR':
+            return ' ';
+        case 'HR':
+            return '<p>---</p>';
+        case 'TR':
+            return `<p>${Array.from(node.children).map(convert).join(' | ')}</p>`;
+        case 'TH':
+            return `<b>${convertChildren(node)}</b>`;
+        default:
+            return RICH_TEXT_TAGS[tag]
+                ? `<${RICH_TEXT_TAGS[tag]}>${convertChildren(node)}</${RICH_TEXT_TAGS[tag]}>`
+                : convertChildren(node);
+    }
+}
+
+function truncatedText(messages, header, maxLength) {
+    const last = exportedMessages(messages).pop();
+    const prefix = `${header}<p><b>${escapeHtml(last.sender || last.role)}</b></p><p>`;
+    const suffix = '...</p>';
+    let text = (last.content || '').substring(0, maxLength);
+    while(text && (prefix + escapeHtml(text) + suffix).length > maxLength) {
+        text = text.substring(0, Math.floor(text.length * 0.9));
+    }
+    return prefix + escapeHtml(text) + suffix;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,12 @@
+/**
+ * Saves a text as a file in the browser
+ */
+export function downloadText(fileName, text, mimeType = 'text/plain') {
+    const link = document.createElement('a');
+    link.href = `data:${mimeType};charset=utf-8,` + encodeURIComponent(text);
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
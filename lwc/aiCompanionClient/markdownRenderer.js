@@ -0,0 +1,36 @@
+/**
+ * Renders the markdown of the AI answers: GitHub-flavoured tables, task lists, strikethrough and autolinks,
+ * syntax highlighting of the code blocks (see syntaxHighlight.js), and the allow-list sanitizing of the result
+ * (see sanitizer.js). The only way the AI Companion components should turn markdown into HTML.
+ *
+ * markdown.js is marked 15 as published on npm (lib/marked.esm.js), which is GitHub-flavoured by default.
+ */
+import { Marked, Renderer } from './markdown';
+import { highlight, escapeHtml } from './syntaxHighlight';
+import { sanitizeHtml } from './sanitizer';
+
+// an instance of the engine with its own options, the global marked is left as it is
+const markdown = new Marked({
+    gfm: true,
+    renderer: {
+        code({ text, lang }) {
+            const language = (lang || '').match(/^\S*/)[0];
+            const code = highlight(text, language) ?? escapeHtml(text);
+            return language
+                ? `<pre><code class="language-${escapeHtml(language)}">${code}</code></pre>\n`
+                : `<pre><code>${code}</code></pre>\n`;
+        },
+        // the sanitizer keeps this class, to style the task lists
+        listitem(item) {
+            const html = Renderer.prototype.listitem.call(this, item);
+            return item.task ? html.replace(/^<li>/, '<li class="task-list-item">') : html;
+        },
+    },
+});
+
+/**
+ * Returns the sanitized HTML of the markdown text
+ */
+export function renderMarkdown(text) {
+    return sanitizeHtml(markdown.parse(text || ''));
+}
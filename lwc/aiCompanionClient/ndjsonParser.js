@@ -0,0 +1,68 @@
+/**
+ * Incremental parser for the newline delimited JSON (NDJSON) stream sent by the AI Companion backend.
+ *
+ * Each line is one event: {"type": "status"|"error"|"token"|"function_call", "content": ..., "function_call": ...}
+ *
+ * The network does not respect line boundaries: a chunk can end in the middle of a line, or even
+ * in the middle of a multi-byte character. Incomplete lines are kept until the next chunk arrives,
+ * and the decoder runs in streaming mode so split characters are joined before decoding.
+ */
+export class NdjsonParser {
+    constructor() {
+        this.decoder = new TextDecoder('utf-8');
+        this.pending = '';
+    }
+
+    /**
+     * Adds a chunk (Uint8Array as returned by reader.read(), or a string)
+     * and returns the events of every line completed by it
+     */
+    push(chunk) {
+        this.pending += typeof chunk === 'string' ? chunk : this.decoder.decode(chunk, { stream: true });
+        const lines = this.pending.split('\n');
+        // the last element is either '' or an incomplete line
+        this.pending = lines.pop();
+        return this.parseLines(lines);
+    }
+
+    /**
+     * Returns the events of whatever was left without a final newline. Call it once the stream is done
+     */
+    flush() {
+        const lines = [this.pending + this.decoder.decode()];
+        this.pending = '';
+        return this.parseLines(lines);
+    }
+
+    parseLines(lines) {
+        const events = [];
+        for(let line of lines) {
+            line = line.trim();
+            if(!line) {
+                continue;
+            }
+            try {
+                events.push(JSON.parse(line));
+            } catch (e) {
+                // with complete lines this only happens if the backend sends something that is not JSON
+                console.warn("Failed to parse", line, "Error="+e);
+            }
+        }
+        return events;
+    }
+}
+
+/**
+ * Same as NdjsonParser, for the Server-Sent Events streams of the OpenAI and Anthropic APIs:
+ * only the "data:" lines carry JSON, and "[DONE]" marks the end of the stream
+ */
+export class SseParser extends NdjsonParser {
+    parseLines(lines) {
+        const dataLines = lines
+            .map((line) => line.trim())
+            .filter((line) => line.startsWith('data:'))
+            .map((line) => line.substring(5).trim())
+            .filter((data) => data !== '[DONE]');
+        return super.parseLines(dataLines);
+    }
+}
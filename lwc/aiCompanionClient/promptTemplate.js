@@ -0,0 +1,248 @@
+/**
+ * Template language of the AI Companion prompts (Prompt and System prompt before of Copado_AI_Companion_Prompt__mdt).
+ *
+ * Templates are rendered here, in the browser, and the result is shown to the user before it is sent.
+ * The legacy {keyword}, {SELECT ...} and {FIND ...} expressions are still processed by OpenAIQuestionProcessor, afterwards.
+ *
+ *   {{copado__Status__c}}                      a field of the record, by API name
+ *   {{copado__Project__r.Name}}                a field of a related record, following lookups (up to 5 levels)
+ *   {{logs.deploymentErrors}}                  a log excerpt:
+ *                                                  deploymentErrors  errors of the last deployment (Promotion, Deployment)
+ *                                                  functionLogs      the latest Function logs file (e.g. Result)
+ *   {{copado__Description__c | truncate:500}}  filters, applied from left to right:
+ *                                                  truncate:N        first N characters
+ *                                                  head:N            first N lines
+ *                                                  tail:N            last N lines
+ *                                                  default:"text"    used when the value is empty
+ *   {{#if copado__Epic__c}} ... {{else}} ... {{/if}}
+ *                                              conditionals: empty values, 0, false and empty related lists are false
+ *   {{#each copado__Promoted_User_Stories__r}}
+ *   - {{copado__User_Story__r.Name}}           related lists, by relationship name (the latest 50 records).
+ *   {{/each}}                                  Inside, the variables are fields of each related record
+ *
+ * Variables that do not exist, or that the user cannot see, are errors: they are reported instead of
+ * silently sending an empty text to the AI.
+ */
+
+export const LOGS_PREFIX = 'logs.';
+
+const TAG_REGEX = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const PATH_REGEX = /^[A-Za-z][\w]*(\.[A-Za-z][\w]*)*$/;
+// splits by | unless it is inside quotes
+const FILTER_SEPARATOR_REGEX = /\|(?=(?:[^"]*"[^"]*")*[^"]*$)/;
+
+const FILTERS = {
+    truncate: (value, n) => (value.length > n ? value.substring(0, n) + '...' : value),
+    head: (value, n) => value.split('\n').slice(0, n).join('\n'),
+    tail: (value, n) => value.split('\n').slice(-n).join('\n'),
+    default: (value, text) => (value ? value : text),
+};
+const NUMERIC_FILTERS = ['truncate', 'head', 'tail'];
+
+function lineOf(text, index) {
+    return text.substring(0, index).split('\n').length;
+}
+
+function parseFilter(expression, line, errors) {
+    const separator = expression.indexOf(':');
+    const name = (separator < 0 ? expression : expression.substring(0, separator)).trim();
+    let arg = separator < 0 ? undefined : expression.substring(separator + 1).trim();
+    if(!FILTERS[name]) {
+        errors.push({ type: 'syntax', line, message: `unknown filter "${name}"` });
+        return null;
+    }
+    if(NUMERIC_FILTERS.includes(name)) {
+        arg = parseInt(arg, 10);
+        if(!(arg > 0)) {
+            errors.push({ type: 'syntax', line, message: `the filter "${name}" needs a positive number, e.g. ${name}:10` });
+            return null;
+        }
+    }else if(arg?.startsWith('"') && arg.endsWith('"')) {
+        arg = arg.substring(1, arg.length - 1);
+    }
+    return { name, arg: arg ?? '' };
+}
+
+function parseVariable(expression, line, errors) {
+    const [path, ...filters] = expression.split(FILTER_SEPARATOR_REGEX).map((s) => s.trim());
+    if(!PATH_REGEX.test(path)) {
+        errors.push({ type: 'syntax', line, message: `"${path}" is not a valid variable` });
+        return null;
+    }
+    return {
+        type: 'variable',
+        path,
+        line,
+        filters: filters.map((f) => parseFilter(f, line, errors)).filter((f) => f),
+    };
+}
+
+/**
+ * Parses a template. Returns {nodes, errors, hasTags}
+ */
+export function parseTemplate(text) {
+    text = text || '';
+    const errors = [];
+    const root = { type: 'root', children: [] };
+    // the blocks that are open, the innermost last
+    const stack = [root];
+    const current = () => {
+        const block = stack[stack.length - 1];
+        return block.inElse ? block.elseChildren : block.children;
+    };
+
+    let lastIndex = 0;
+    let hasTags = false;
+    let match;
+    TAG_REGEX.lastIndex = 0;
+    while((match = TAG_REGEX.exec(text)) !== null) {
+        hasTags = true;
+        const line = lineOf(text, match.index);
+        const tag = match[1];
+        if(match.index > lastIndex) {
+            current().push({ type: 'text', text: text.substring(lastIndex, match.index) });
+        }
+        lastIndex = TAG_REGEX.lastIndex;
+
+        const block = stack[stack.length - 1];
+        if(tag.startsWith('#if ') || tag.startsWith('#each ')) {
+            const type = tag.startsWith('#if ') ? 'if' : 'each';
+            const path = tag.substring(type.length + 2).trim();
+            if(!PATH_REGEX.test(path)) {
+                errors.push({ type: 'syntax', line, message: `"${path}" is not a valid variable` });
+            }
+            if(type === 'each' && stack.some((b) => b.type === 'each')) {
+                errors.push({ type: 'syntax', line, message: 'related lists cannot be nested' });
+            }
+            const node = { type, path, line, children: [], elseChildren: [], inElse: false };
+            current().push(node);
+            stack.push(node);
+        }else if(tag === 'else') {
+            if(block.type !== 'if' || block.inElse) {
+                errors.push({ type: 'syntax', line, message: '{{else}} without {{#if}}' });
+            }else{
+                block.inElse = true;
+            }
+        }else if(tag === '/if' || tag === '/each') {
+            if(block.type !== tag.substring(1)) {
+                errors.push({ type: 'syntax', line, message: `{{${tag}}} without {{#${tag.substring(1)}}}` });
+            }else{
+                stack.pop();
+            }
+        }else{
+            const node = parseVariable(tag, line, errors);
+            if(node) {
+                current().push(node);
+            }
+        }
+    }
+    if(lastIndex < text.length) {
+        current().push({ type: 'text', text: text.substring(lastIndex) });
+    }
+    for(const block of stack.slice(1)) {
+        errors.push({ type: 'syntax', line: block.line, message: `{{#${block.type} ${block.path}}} is not closed with {{/${block.type}}}` });
+    }
+    return { nodes: root.children, errors, hasTags };
+}
+
+function collect(nodes, request, relatedList) {
+    for(const node of nodes) {
+        if(node.type === 'text') {
+            continue;
+        }
+        if(node.type === 'each') {
+            request.relatedLists[node.path] = request.relatedLists[node.path] || [];
+            collect(node.children, request, node.path);
+            continue;
+        }
+        if(!relatedList && node.path.startsWith(LOGS_PREFIX)) {
+            request.logs.push(node.path.substring(LOGS_PREFIX.length));
+        }else if(relatedList) {
+            request.relatedLists[relatedList].push(node.path);
+        }else{
+            request.fields.push(node.path);
+        }
+        if(node.type === 'if') {
+            collect(node.children.concat(node.elseChildren), request, relatedList);
+        }
+    }
+    return request;
+}
+
+/**
+ * Returns what needs to be queried for the templates, as expected by PromptTemplateService.getTemplateData:
+ * {fields: [...], relatedLists: {relationshipName: [fields]}, logs: [...]}
+ */
+export function getDataRequest(...templates) {
+    const request = { fields: [], relatedLists: {}, logs: [] };
+    for(const template of templates) {
+        collect(template.nodes, request, null);
+    }
+    const unique = (list) => [...new Set(list)];
+    request.fields = unique(request.fields);
+    request.logs = unique(request.logs);
+    for(const name of Object.keys(request.relatedLists)) {
+        request.relatedLists[name] = unique(request.relatedLists[name]);
+    }
+    return request;
+}
+
+function isTrue(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value && value !== '0' && value !== 'false';
+}
+
+function renderNodes(nodes, scope, errors) {
+    let result = '';
+    for(const node of nodes) {
+        if(node.type === 'text') {
+            result += node.text;
+            continue;
+        }
+        const value = scope.get(node.path);
+        if(value === undefined) {
+            errors.push({ type: 'unknown', line: node.line, name: node.path });
+        }
+        if(node.type === 'each') {
+            for(const record of value || []) {
+                result += renderNodes(node.children, scopeOf(record, null), errors);
+            }
+        }else if(node.type === 'if') {
+            result += renderNodes(isTrue(value) ? node.children : node.elseChildren, scope, errors);
+        }else{
+            let text = value === null || value === undefined ? '' : String(value);
+            for(const filter of node.filters) {
+                text = FILTERS[filter.name](text, filter.arg);
+            }
+            result += text;
+        }
+    }
+    return result;
+}
+
+/**
+ * Looks up variables: fields of the record, related lists and logs
+ * (undefined means the variable is unknown, null that it is empty)
+ */
+function scopeOf(values, data) {
+    return {
+        get(path) {
+            if(data && path.startsWith(LOGS_PREFIX)) {
+                return data.logs?.[path.substring(LOGS_PREFIX.length)];
+            }
+            if(data?.relatedLists && path in data.relatedLists) {
+                return data.relatedLists[path];
+            }
+            return values && path in values ? values[path] : undefined;
+        },
+    };
+}
+
+/**
+ * Renders a parsed template with the data returned by PromptTemplateService.getTemplateData.
+ * Returns {text, errors}, including the parsing errors
+ */
+export function renderTemplate(template, data) {
+    const errors = [...template.errors];
+    const text = renderNodes(template.nodes, scopeOf(data?.record, data || {}), errors);
+    return { text, errors };
+}
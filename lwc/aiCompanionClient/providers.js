@@ -0,0 +1,221 @@
+import { NdjsonParser, SseParser } from './ndjsonParser';
+
+/**
+ * Adapters for the LLM providers the AI Companion can talk to, selected with the AI Provider field
+ * of Copado_AI_Companion_Configuration__mdt.
+ *
+ * The component always builds the same request body (OpenAI chat shape, as the Copado backend expects it)
+ * and always consumes the same events: {type: 'status'|'error'|'token'|'function_call', content, function_call}.
+ * Each adapter translates the body into its provider's request, and its provider's stream back into those events.
+ *
+ * The Copado backend is called with a session of OpenAiApiService.getAuthToken. The other providers are called through
+ * the proxy of AI Provider Proxy URL, with a short-lived token of the same method: their API key never reaches the browser.
+ * The proxy:
+ *   - accepts the POST of buildRequest() with the CORS headers of the org, and answers 401 to a token that is not
+ *     signed by the certificate AI_Companion_Proxy, is expired, or is for another audience (a new token is then requested)
+ *   - sends the body to the chat endpoint of the provider of the token, with the model of the token and its API key
+ *   - streams the answer of the provider back unchanged, with its status and Retry-After header
+ *   - cancels the request to the provider as soon as the browser closes the connection (Stop), so that the provider
+ *     stops generating, and billing, the answer
+ *
+ * Adapter interface:
+ *   buildRequest(body, config) -> {url, headers, body}
+ *       config: {url, model, temperature, maxTokens, headers}
+ *   createParser() -> {push(chunk), flush()}, both returning a list of events
+ *   stopsOnDisconnect: if closing the connection (Stop) stops the generation of the answer. The Copado backend has
+ *       no way to be told to stop, it may finish the answer and count its tokens
+ */
+
+export const PROVIDER_COPADO = 'Copado';
+export const PROVIDER_OPENAI = 'OpenAI';
+export const PROVIDER_AZURE_OPENAI = 'Azure OpenAI';
+export const PROVIDER_ANTHROPIC = 'Anthropic';
+export const PROVIDER_OLLAMA = 'Ollama';
+
+const DEFAULT_MAX_TOKENS = 1024;
+
+/**
+ * Wraps a line parser, converting each raw provider object into zero or more events
+ */
+function eventParser(lineParser, toEvents) {
+    const state = {};
+    const convert = (objects) => objects.reduce((events, o) => events.concat(toEvents(o, state)), []);
+    return {
+        push: (chunk) => convert(lineParser.push(chunk)),
+        flush: () => convert(lineParser.flush()),
+    };
+}
+
+function systemPrompt(messages) {
+    return messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n');
+}
+
+const copadoProvider = {
+    stopsOnDisconnect: false,
+    buildRequest(body, config) {
+        return { url: config.url, headers: config.headers, body };
+    },
+    createParser() {
+        // the Copado backend already speaks the AI Companion protocol
+        return new NdjsonParser();
+    },
+};
+
+const openAiProvider = {
+    stopsOnDisconnect: true,
+    buildRequest(body, config) {
+        const request = {
+            model: config.model,
+            messages: body.messages,
+            temperature: config.temperature,
+            max_tokens: config.maxTokens,
+            stream: true,
+        };
+        if(body.functions?.length) {
+            request.functions = body.functions;
+        }
+        return { url: config.url, headers: config.headers, body: request };
+    },
+    createParser() {
+        return eventParser(new SseParser(), (chunk, state) => {
+            if(chunk.error) {
+                return [{ type: 'error', content: chunk.error.message || JSON.stringify(chunk.error) }];
+            }
+            const choice = chunk.choices?.[0];
+            const events = [];
+            if(choice?.delta?.content) {
+                events.push({ type: 'token', content: choice.delta.content });
+            }
+            // function calls arrive in pieces: the name first, then the arguments little by little
+            const fn = choice?.delta?.function_call;
+            if(fn) {
+                state.functionCall = state.functionCall || { name: '', arguments: '' };
+                state.functionCall.name += fn.name || '';
+                state.functionCall.arguments += fn.arguments || '';
+            }
+            if(choice?.finish_reason === 'function_call' && state.functionCall) {
+                events.push({ type: 'function_call', function_call: state.functionCall });
+                state.functionCall = null;
+            }
+            return events;
+        });
+    },
+};
+
+const azureOpenAiProvider = {
+    ...openAiProvider,
+    buildRequest(body, config) {
+        // the model is part of the deployment url in Azure
+        const request = openAiProvider.buildRequest(body, config);
+        delete request.body.model;
+        return request;
+    },
+};
+
+const anthropicProvider = {
+    stopsOnDisconnect: true,
+    buildRequest(body, config) {
+        // Anthropic has no system or function roles: the system prompt is a parameter,
+        // and Action calls/results are tool_use/tool_result blocks linked by an id
+        const messages = [];
+        let toolCallCount = 0;
+        for(const m of body.messages) {
+            if(m.role === 'system') {
+                continue;
+            }else if(m.function_call) {
+                toolCallCount++;
+                let input = {};
+                try { input = JSON.parse(m.function_call.arguments || '{}'); } catch(e) { input = {}; }
+                messages.push({ role: 'assistant', content: [{ type: 'tool_use', id: `call_${toolCallCount}`, name: m.function_call.name, input }] });
+            }else if(m.role === 'function') {
+                messages.push({ role: 'user', content: [{ type: 'tool_result', tool_use_id: `call_${toolCallCount}`, content: m.content }] });
+            }else if(m.content) {
+                messages.push({ role: m.role, content: m.content });
+            }
+        }
+        const request = {
+            model: config.model,
+            system: systemPrompt(body.messages),
+            messages,
+            temperature: config.temperature,
+            max_tokens: config.maxTokens || DEFAULT_MAX_TOKENS,
+            stream: true,
+        };
+        if(body.functions?.length) {
+            request.tools = body.functions.map((f) => ({ name: f.name, description: f.description, input_schema: f.parameters || { type: 'object' } }));
+        }
+        return { url: config.url, headers: config.headers, body: request };
+    },
+    createParser() {
+        return eventParser(new SseParser(), (event, state) => {
+            switch(event.type) {
+                case 'error':
+                    return [{ type: 'error', content: event.error?.message || JSON.stringify(event.error) }];
+                case 'content_block_start':
+                    if(event.content_block?.type === 'tool_use') {
+                        state.functionCall = { name: event.content_block.name, arguments: '' };
+                    }
+                    return [];
+                case 'content_block_delta':
+                    if(event.delta?.type === 'text_delta') {
+                        return [{ type: 'token', content: event.delta.text }];
+                    }
+                    if(event.delta?.type === 'input_json_delta' && state.functionCall) {
+                        state.functionCall.arguments += event.delta.partial_json;
+                    }
+                    return [];
+                case 'content_block_stop':
+                    if(state.functionCall) {
+                        const functionCall = state.functionCall;
+                        state.functionCall = null;
+                        return [{ type: 'function_call', function_call: { name: functionCall.name, arguments: functionCall.arguments || '{}' } }];
+                    }
+                    return [];
+                default:
+                    return [];
+            }
+        });
+    },
+};
+
+const ollamaProvider = {
+    stopsOnDisconnect: true,
+    buildRequest(body, config) {
+        const messages = body.messages
+            .filter((m) => !m.function_call)
+            .map((m) => ({ role: m.role === 'function' ? 'tool' : m.role, content: m.content }));
+        return {
+            url: config.url,
+            headers: config.headers,
+            body: {
+                model: config.model,
+                messages,
+                stream: true,
+                options: { temperature: config.temperature, num_predict: config.maxTokens },
+            },
+        };
+    },
+    createParser() {
+        return eventParser(new NdjsonParser(), (chunk) => {
+            if(chunk.error) {
+                return [{ type: 'error', content: chunk.error }];
+            }
+            return chunk.message?.content ? [{ type: 'token', content: chunk.message.content }] : [];
+        });
+    },
+};
+
+const PROVIDERS = {
+    [PROVIDER_COPADO]: copadoProvider,
+    [PROVIDER_OPENAI]: openAiProvider,
+    [PROVIDER_AZURE_OPENAI]: azureOpenAiProvider,
+    [PROVIDER_ANTHROPIC]: anthropicProvider,
+    [PROVIDER_OLLAMA]: ollamaProvider,
+};
+
+/**
+ * Returns the adapter of a provider. Unknown or empty providers use the Copado backend
+ */
+export function getProvider(name) {
+    return PROVIDERS[name] || copadoProvider;
+}
@@ -0,0 +1,146 @@
+/**
+ * Finds the record the AI Companion is talking about, from (in this order):
+ *   - the recordId given to the component (record pages, Flow screens)
+ *   - the page reference (record pages, components and Flows with a c__recordId / recordId state)
+ *   - the URL: Lightning record pages, console workspace tabs (ws parameter), Experience Cloud sites,
+ *     Flow screens (?recordId=), Classic pages and the legacy one.app# urls
+ * Ids are validated (an 18 characters id must have a valid checksum) and always returned with 18 characters.
+ */
+
+export const SOURCE_COMPONENT = 'component';
+export const SOURCE_PAGE = 'page';
+export const SOURCE_CONSOLE = 'console';
+export const SOURCE_URL = 'url';
+export const SOURCE_MANUAL = 'manual';
+
+const ID_REGEX = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+const CHECKSUM_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+const STATE_PARAMS = ['c__recordId', 'recordId', 'c__contextId', 'c__id', 'id'];
+const URL_PARAMS = ['recordId', 'c__recordId', 'id', 'c__id'];
+
+/**
+ * Returns the 18 characters version of a record id, or null if it is not one
+ */
+export function normalizeRecordId(value) {
+    const id = typeof value === 'string' ? value.trim() : '';
+    if(!ID_REGEX.test(id) || !/\d/.test(id)) {
+        return null;
+    }
+    const id18 = id.substring(0, 15) + checksum(id.substring(0, 15));
+    // a wrong checksum means it is just a word that looks like an id
+    return id.length === 15 || id === id18 ? id18 : null;
+}
+
+/**
+ * Returns {recordId, source} of the first source that has a valid record id, or {recordId: null, source: null}
+ */
+export function resolveRecordContext({ recordId, pageReference, consoleTab, url } = {}) {
+    const candidates = [
+        [SOURCE_COMPONENT, () => recordId],
+        [SOURCE_PAGE, () => recordIdFromPageReference(pageReference)],
+        [SOURCE_CONSOLE, () => consoleTab?.recordId || recordIdFromPageReference(consoleTab?.pageReference) || recordIdFromUrl(consoleTab?.url)],
+        [SOURCE_URL, () => recordIdFromUrl(url)],
+    ];
+    for(const [source, getId] of candidates) {
+        const id = normalizeRecordId(getId());
+        if(id) {
+            return { recordId: id, source };
+        }
+    }
+    return { recordId: null, source: null };
+}
+
+export function recordIdFromPageReference(pageReference) {
+    if(!pageReference) {
+        return null;
+    }
+    const candidates = [pageReference.attributes?.recordId]
+        .concat(STATE_PARAMS.map((p) => pageReference.state?.[p]));
+    return candidates.map(normalizeRecordId).find(Boolean) || null;
+}
+
+export function recordIdFromUrl(href) {
+    let url;
+    try{
+        url = new URL(href, 'https://localhost');
+    }catch(e) {
+        return null;
+    }
+
+    // legacy one.app#<base64 of {attributes: {address}}>
+    const oneApp = /\/one\/one\.app$/i.test(url.pathname) && decodeOneApp(url.hash.substring(1));
+    if(oneApp) {
+        return recordIdFromUrl(oneApp);
+    }
+
+    // the record of the page first, then the one of the console workspace (the tab of the subtab)
+    const fromPath = recordIdFromPath(url.pathname);
+    if(fromPath) {
+        return fromPath;
+    }
+    for(const param of URL_PARAMS) {
+        const id = normalizeRecordId(url.searchParams.get(param));
+        if(id) {
+            return id;
+        }
+    }
+    const workspace = url.searchParams.get('ws');
+    return workspace ? recordIdFromPath(workspace) : null;
+}
+
+// PRIVATE
+
+function recordIdFromPath(path) {
+    const segments = path.split('/').filter(Boolean).map((s) => {
+        try{
+            return decodeURIComponent(s);
+        }catch(e) {
+            return s;
+        }
+    });
+    // Lightning: /lightning/r/<Object>/<id>/view, /lightning/r/<id>/view, /lightning/r/<Object>/<id>/related/<list>/view
+    const lightning = segments.indexOf('lightning');
+    if(lightning >= 0 && segments[lightning + 1] === 'r') {
+        return segments.slice(lightning + 2, lightning + 4).map(normalizeRecordId).find(Boolean) || null;
+    }
+    // Experience Cloud: /s/<object>/<id>/<name>, /s/detail/<id>, /<site>/s/<object>/<id>
+    const site = segments.indexOf('s');
+    if(site >= 0) {
+        return segments.slice(site + 1, site + 3).map(normalizeRecordId).find(Boolean) || null;
+    }
+    // Classic: /<id>, /<id>/e
+    if(segments.length && segments.length <= 2) {
+        return normalizeRecordId(segments[0]);
+    }
+    // anything else ending with a custom object and an id, e.g. /copado__Promotion__c/<id>
+    const custom = segments.findIndex((s) => /__c$/i.test(s));
+    return custom >= 0 ? normalizeRecordId(segments[custom + 1]) : null;
+}
+
+function decodeOneApp(hash) {
+    try{
+        return JSON.parse(atob(decodeURIComponent(hash))).attributes.address;
+    }catch(e) {
+        console.warn('Error while decoding one.app urls', e, hash);
+        return null;
+    }
+}
+
+/**
+ * The 3 characters suffix of an 18 characters id: for each block of 5 characters,
+ * the bits of its uppercase letters
+ */
+function checksum(id15) {
+    let suffix = '';
+    for(let block = 0; block < 3; block++) {
+        let bits = 0;
+        for(let i = 0; i < 5; i++) {
+            const c = id15.charAt(block * 5 + i);
+            if(c >= 'A' && c <= 'Z') {
+                bits += 1 << i;
+            }
+        }
+        suffix += CHECKSUM_CHARS.charAt(bits);
+    }
+    return suffix;
+}
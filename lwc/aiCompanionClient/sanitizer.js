@@ -0,0 +1,172 @@
+/**
+ * Allow-list HTML sanitizer for the markdown rendered from the AI answers.
+ *
+ * The answers can echo deployment logs, user story texts or any other record data, so the HTML produced
+ * by the markdown renderer is never trusted: only the tags and attributes listed here are kept.
+ *   - dangerous elements (script, style, iframe, forms, svg...) are removed with their content
+ *   - any other unknown element is replaced by its (sanitized) content
+ *   - links only keep http(s), mailto or relative URLs, and always open in a new tab with rel="noopener noreferrer"
+ *   - images only keep URLs of the org itself or raster data URLs. An image loads as soon as it is rendered, so the
+ *     AI could send what it read to any server in the URL of one: remote images are shown as links instead
+ */
+
+const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt', 'em',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li', 'mark', 'ol', 'p',
+    'pre', 's', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+]);
+
+// removed together with everything inside them, instead of keeping their text
+const DROPPED_TAGS = new Set([
+    'base', 'button', 'embed', 'form', 'frame', 'frameset', 'head', 'iframe', 'link', 'math', 'meta', 'noembed',
+    'noframes', 'noscript', 'object', 'option', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'title',
+]);
+
+const GLOBAL_ATTRIBUTES = ['title'];
+const ALLOWED_ATTRIBUTES = {
+    a: ['href'],
+    code: ['class'],
+    img: ['src', 'alt', 'width', 'height'],
+    input: ['type', 'checked', 'disabled'],
+    li: ['class'],
+    ol: ['start'],
+    span: ['class'],
+    td: ['align', 'colspan', 'rowspan'],
+    th: ['align', 'colspan', 'rowspan'],
+};
+
+const URL_ATTRIBUTES = ['href', 'src'];
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+// the protocols of the remote images, shown as links
+const IMAGE_PROTOCOLS = ['http:', 'https:'];
+const IMAGE_DATA_REGEX = /^data:image\/(png|gif|jpeg|webp)[;,]/i;
+// browsers ignore whitespace and control characters in URLs, e.g. "java\tscript:"
+// eslint-disable-next-line no-control-regex
+const IGNORED_URL_CHARS_REGEX = /[\u0000- \u007F-\u009F]/g;
+const PROTOCOL_REGEX = /^([a-z][a-z0-9+.-]*:)/i;
+// only the classes set by the markdown renderer: the language of the code blocks, the syntax highlighting
+// and the task list items
+const ALLOWED_CLASSES = {
+    code: /^language-[\w+#-]+$/,
+    span: /^hl-[a-z]+$/,
+    li: /^task-list-item$/,
+};
+
+/**
+ * Returns html with only the allowed tags, attributes and URLs
+ */
+export function sanitizeHtml(html) {
+    // the content of a template is inert: nothing runs or loads while it is being sanitized
+    const template = document.createElement('template');
+    // eslint-disable-next-line @lwc/lwc/no-inner-html
+    template.innerHTML = html || '';
+    sanitizeChildren(template.content);
+    // eslint-disable-next-line @lwc/lwc/no-inner-html
+    return template.innerHTML;
+}
+
+/**
+ * Returns the URL if its protocol is allowed (relative URLs are), or null
+ */
+export function safeUrl(url, protocols = LINK_PROTOCOLS) {
+    const normalized = (url || '').replace(IGNORED_URL_CHARS_REGEX, '');
+    const protocol = normalized.match(PROTOCOL_REGEX);
+    if(protocol && !protocols.includes(protocol[1].toLowerCase())) {
+        return null;
+    }
+    return url.trim();
+}
+
+/**
+ * Returns the URL if it is an image of the org itself (relative URLs are) or a raster data URL, or null
+ */
+export function safeImageUrl(url) {
+    const normalized = (url || '').replace(IGNORED_URL_CHARS_REGEX, '');
+    if(IMAGE_DATA_REGEX.test(normalized)) {
+        return url.trim();
+    }
+    try{
+        return new URL(normalized, window.location.href).origin === window.location.origin ? url.trim() : null;
+    }catch(e) {
+        return null;
+    }
+}
+
+function sanitizeChildren(parent) {
+    for(const node of Array.from(parent.childNodes)) {
+        if(node.nodeType === Node.TEXT_NODE) {
+            continue;
+        }
+        if(node.nodeType !== Node.ELEMENT_NODE) {
+            // comments, processing instructions, CDATA...
+            node.remove();
+            continue;
+        }
+        const tag = node.nodeName.toLowerCase();
+        if(DROPPED_TAGS.has(tag)) {
+            node.remove();
+        }else if(tag === 'img' && isRemoteImage(node)) {
+            node.replaceWith(remoteImageLink(node));
+        }else if(ALLOWED_TAGS.has(tag)) {
+            if(sanitizeAttributes(node, tag)) {
+                sanitizeChildren(node);
+            }else{
+                node.remove();
+            }
+        }else{
+            sanitizeChildren(node);
+            node.replaceWith(...Array.from(node.childNodes));
+        }
+    }
+}
+
+/**
+ * Removes the attributes that are not allowed. Returns false if the whole element must be removed
+ */
+function sanitizeAttributes(element, tag) {
+    const allowed = GLOBAL_ATTRIBUTES.concat(ALLOWED_ATTRIBUTES[tag] || []);
+    for(const attribute of Array.from(element.attributes)) {
+        const name = attribute.name.toLowerCase();
+        let value = allowed.includes(name) ? attribute.value : null;
+        if(value !== null && URL_ATTRIBUTES.includes(name)) {
+            value = tag === 'img' ? safeImageUrl(value) : safeUrl(value);
+        }else if(value !== null && name === 'class' && !ALLOWED_CLASSES[tag].test(value)) {
+            value = null;
+        }
+        if(value === null) {
+            element.removeAttribute(attribute.name);
+        }else if(value !== attribute.value) {
+            element.setAttribute(attribute.name, value);
+        }
+    }
+
+    if(tag === 'input') {
+        // only the read-only checkboxes of the markdown task lists
+        if((element.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+            return false;
+        }
+        element.setAttribute('disabled', '');
+    }else if(tag === 'a' && element.hasAttribute('href')) {
+        element.setAttribute('target', '_blank');
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+    return true;
+}
+
+function isRemoteImage(img) {
+    const src = img.getAttribute('src');
+    return src !== null && !safeImageUrl(src) && safeUrl(src, IMAGE_PROTOCOLS) !== null;
+}
+
+/**
+ * A link to a remote image, named after its alt text, that the user can open
+ */
+function remoteImageLink(img) {
+    const link = img.ownerDocument.createElement('a');
+    const href = safeUrl(img.getAttribute('src'), IMAGE_PROTOCOLS);
+    link.textContent = img.getAttribute('alt') || href;
+    link.setAttribute('href', href);
+    link.setAttribute('target', '_blank');
+    link.setAttribute('rel', 'noopener noreferrer');
+    return link;
+}
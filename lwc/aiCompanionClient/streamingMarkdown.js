@@ -0,0 +1,150 @@
+/**
+ * Renders a markdown text that keeps growing, the answer being streamed by the AI, into an element.
+ *
+ * Re-rendering the whole answer on every token is quadratic, flickers and loses the text selection, so:
+ *   - the blocks that are complete (followed by a blank line outside a code fence) are rendered once and appended
+ *   - only the trailing open block is rendered again, and replaced only if its HTML changed
+ *   - an unterminated code fence is closed while it streams, so it is shown as code and not as text
+ *   - the DOM is updated at most once per animation frame, however fast the tokens arrive
+ * Some markdown depends on what comes later (e.g. reference links or loose lists), so finish() renders
+ * the whole text once more, and only replaces the content if the result is different.
+ */
+import { renderMarkdown } from './markdownRenderer';
+
+// opening or closing code fence: 3 or more backticks or tildes, indented up to 3 spaces
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+
+export class StreamingMarkdownRenderer {
+    /**
+     * element: where the markdown is rendered (its current content is replaced)
+     * onRender: called after each DOM update, e.g. to scroll to the bottom
+     */
+    constructor(element, { onRender } = {}) {
+        this.element = element;
+        this.onRender = onRender;
+        this.text = '';
+        this.frame = null;
+        this.reset();
+    }
+
+    reset() {
+        this.committedLength = 0;
+        this.committedHtml = '';
+        this.tailHtml = '';
+        this.tailNodes = [];
+        this.isCleared = false;
+    }
+
+    /**
+     * Sets the text so far. It is rendered in the next animation frame
+     */
+    update(text) {
+        this.text = text || '';
+        if(this.frame === null) {
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Renders the final text, right away
+     */
+    finish(text = this.text) {
+        if(this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.text = text || '';
+        const html = renderMarkdown(this.text);
+        if(html !== this.committedHtml + this.tailHtml) {
+            // eslint-disable-next-line @lwc/lwc/no-inner-html
+            this.element.innerHTML = html;
+            this.reset();
+            this.isCleared = true;
+            this.committedLength = this.text.length;
+            this.committedHtml = html;
+        }
+        this.onRender?.();
+    }
+
+    render() {
+        // the text was replaced rather than extended: start again
+        if(this.text.length < this.committedLength) {
+            this.reset();
+        }
+        if(!this.isCleared) {
+            this.element.textContent = '';
+            this.isCleared = true;
+        }
+
+        const { boundary, fence } = scanBlocks(this.text, this.committedLength);
+        if(boundary > this.committedLength) {
+            const html = renderMarkdown(this.text.substring(this.committedLength, boundary));
+            this.replaceTail('');
+            this.element.append(...toNodes(html));
+            this.committedHtml += html;
+            this.committedLength = boundary;
+        }
+
+        let tail = this.text.substring(this.committedLength);
+        if(fence) {
+            tail = tail.replace(/\n?$/, '\n') + fence;
+        }
+        this.replaceTail(renderMarkdown(tail));
+        this.onRender?.();
+    }
+
+    replaceTail(html) {
+        // unchanged (e.g. a token inside a link or a tag): keep the nodes, and whatever the user selected
+        if(html === this.tailHtml) {
+            return;
+        }
+        this.tailNodes.forEach((node) => node.remove());
+        this.tailNodes = toNodes(html);
+        this.element.append(...this.tailNodes);
+        this.tailHtml = html;
+    }
+}
+
+/**
+ * Scans the lines of text from "from", which is not inside a code fence.
+ * Returns the end of the last complete block (after a blank line outside a code fence, or "from" if there is none)
+ * and the fence still open at the end of the text, if any
+ */
+export function scanBlocks(text, from = 0) {
+    let boundary = from;
+    let fence = null;
+    let position = from;
+    while(position < text.length) {
+        let end = text.indexOf('\n', position);
+        const isLastLine = end === -1;
+        if(isLastLine) {
+            end = text.length;
+        }
+        const line = text.substring(position, end);
+        const match = line.match(FENCE_REGEX);
+        if(fence) {
+            // closed by the same character, at least as long, with nothing after it
+            if(match && match[1][0] === fence[0] && match[1].length >= fence.length && !match[2].trim()) {
+                fence = null;
+            }
+        }else if(match && !(match[1][0] === '`' && match[2].includes('`'))) {
+            fence = match[1];
+        }else if(!isLastLine && !line.trim()) {
+            boundary = end + 1;
+        }
+        position = end + 1;
+    }
+    return { boundary, fence };
+}
+
+function toNodes(html) {
+    // html comes from renderMarkdown, it is already sanitized
+    const template = document.createElement('template');
+    // eslint-disable-next-line @lwc/lwc/no-inner-html
+    template.innerHTML = html;
+    return Array.from(template.content.childNodes);
+}
@@ -0,0 +1,150 @@
+/**
+ * Small syntax highlighter for the code blocks of the AI answers: Apex, SOQL/SOSL, JSON, XML and YAML,
+ * the languages of the Salesforce metadata and deployment errors.
+ *
+ * Each language is a list of rules, tried in order at each position of the code. The matching text is
+ * wrapped in <span class="hl-TYPE">, the rest is kept as it is. Everything is HTML-escaped.
+ * Rules with inside are highlighted again with those rules (e.g. the attributes of an XML tag).
+ */
+
+const KEYWORD_SEPARATOR = '|';
+
+function rule(type, regex, inside) {
+    // sticky, so that the rule only matches at the current position
+    return { type, regex: new RegExp(regex.source, regex.flags.replace('y', '') + 'y'), inside };
+}
+
+function keywords(type, words) {
+    return rule(type, new RegExp(`\\b(?:${words.split(' ').join(KEYWORD_SEPARATOR)})\\b`, 'i'));
+}
+
+const SOQL_KEYWORDS = 'select from where and or not in includes excludes like limit offset order by asc desc nulls first last '
+    + 'group rollup cube having with security_enforced user_mode system_mode typeof when then else end using scope '
+    + 'find returning all rows for view reference update tracking viewstat above below above_or_below at data category';
+const SOQL_LITERALS = 'null true false today yesterday tomorrow this_week last_week next_week this_month last_month '
+    + 'next_month this_quarter last_quarter next_quarter this_year last_year next_year this_fiscal_quarter this_fiscal_year '
+    + 'last_n_days next_n_days last_n_weeks next_n_weeks last_n_months next_n_months last_n_years next_n_years';
+
+const SOQL = [
+    rule('comment', /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/),
+    rule('string', /'(?:\\.|[^'\\\n])*'?/),
+    rule('variable', /:\w+(?:\.\w+)*/),
+    rule('number', /\b\d+(?:\.\d+)?\b/),
+    rule('literal', new RegExp(`\\b(?:${SOQL_LITERALS.split(' ').join(KEYWORD_SEPARATOR)})\\b(?::\\d+)?`, 'i')),
+    keywords('keyword', SOQL_KEYWORDS),
+];
+
+const APEX = [
+    rule('comment', /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/),
+    rule('string', /'(?:\\.|[^'\\\n])*'?/),
+    rule('annotation', /@\w+/),
+    rule('number', /\b\d+(?:\.\d+)?[lLdD]?\b/),
+    keywords('literal', 'null true false'),
+    keywords('keyword', 'abstract after before break catch class continue delete do else enum extends final finally for '
+        + 'get global if implements insert instanceof interface merge new override private protected public return set '
+        + 'static super switch this throw transient trigger try undelete update upsert virtual void when while with '
+        + 'without inherited sharing testmethod webservice on'),
+    keywords('type', 'blob boolean date datetime decimal double id integer list long map object sobject string time'),
+    // inline SOQL, between brackets
+    rule('soql', /\[\s*(?:select|find)\b[^\]]*\]/i, SOQL),
+];
+
+const JSON_RULES = [
+    rule('attr', /"(?:\\.|[^"\\\n])*"(?=\s*:)/),
+    rule('string', /"(?:\\.|[^"\\\n])*"?/),
+    rule('number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/),
+    keywords('literal', 'null true false'),
+];
+
+const XML_TAG_INSIDE = [
+    rule('string', /"[^"]*"|'[^']*'/),
+    rule('attr', /[\w:.-]+(?=\s*=)/),
+];
+const XML = [
+    rule('comment', /<!--[\s\S]*?(?:-->|$)/),
+    rule('comment', /<!\[CDATA\[[\s\S]*?(?:\]\]>|$)/),
+    rule('meta', /<\?[\s\S]*?(?:\?>|$)/),
+    rule('tag', /<\/?[\w:.-]+(?:\s+[\w:.-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/, XML_TAG_INSIDE),
+    rule('literal', /&(?:#\d+|#x[\da-f]+|\w+);/i),
+];
+
+const YAML = [
+    rule('comment', /#.*/),
+    rule('meta', /^(?:---|\.\.\.)\s*$/m),
+    rule('attr', /(?<=^[ \t]*(?:- +)?)(?:"[^"\n]*"|'[^'\n]*'|[^\s#:'"-][^#:\n]*?)(?=[ \t]*:(?:\s|$))/m),
+    rule('string', /"(?:\\.|[^"\\\n])*"|'(?:''|[^'\n])*'/),
+    rule('variable', /[&*][\w-]+/),
+    rule('number', /(?<![\w.-])-?\d+(?:\.\d+)?(?![\w.-])/),
+    rule('literal', /(?<![\w-])(?:true|false|yes|no|on|off|null|~)(?![\w-])/i),
+];
+
+const LANGUAGES = {
+    apex: APEX,
+    soql: SOQL,
+    json: JSON_RULES,
+    xml: XML,
+    yaml: YAML,
+};
+
+const ALIASES = {
+    cls: 'apex',
+    trigger: 'apex',
+    sosl: 'soql',
+    sql: 'soql',
+    html: 'xml',
+    xhtml: 'xml',
+    svg: 'xml',
+    page: 'xml',
+    component: 'xml',
+    'js-meta': 'xml',
+    yml: 'yaml',
+};
+
+// runs of characters that no rule can start with, copied as they are
+const PLAIN_REGEX = /[A-Za-z_$][\w$]*|\s+|[\s\S]/y;
+
+/**
+ * Returns the highlighted and escaped HTML of code, or null if the language is not supported
+ */
+export function highlight(code, lang) {
+    const name = (lang || '').toLowerCase();
+    const rules = LANGUAGES[ALIASES[name] || name];
+    return rules ? tokenize(code, rules) : null;
+}
+
+function tokenize(code, rules) {
+    let html = '';
+    let position = 0;
+    while(position < code.length) {
+        const token = matchRule(code, position, rules);
+        if(token) {
+            const content = token.rule.inside ? tokenize(token.text, token.rule.inside) : escapeHtml(token.text);
+            html += `<span class="hl-${token.rule.type}">${content}</span>`;
+            position += token.text.length;
+        }else{
+            PLAIN_REGEX.lastIndex = position;
+            const text = PLAIN_REGEX.exec(code)[0];
+            html += escapeHtml(text);
+            position += text.length;
+        }
+    }
+    return html;
+}
+
+function matchRule(code, position, rules) {
+    for(const r of rules) {
+        r.regex.lastIndex = position;
+        const match = r.regex.exec(code);
+        if(match && match[0].length) {
+            return { rule: r, text: match[0] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the text escaped for HTML, quotes included
+ */
+export function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
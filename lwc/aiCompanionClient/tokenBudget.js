@@ -0,0 +1,108 @@
+/**
+ * Keeps the messages sent to the AI within the context window of the model.
+ *
+ * Tokens are estimated, not counted: every model has its own tokenizer and none of them is available here.
+ * The estimation (about 4 characters per token, 1 per CJK character, plus the per-message overhead)
+ * errs on the side of overestimating for code and logs, which is what the prompts of the AI Companion mostly contain.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_MESSAGE = 4;
+// Chinese, Japanese and Korean characters are usually one token or more each
+const CJK_REGEX = /[぀-ヿ㐀-䶿一-鿿가-힯]/g;
+const MAX_SUMMARY_QUESTION_LENGTH = 100;
+const TRUNCATED_MARKER = '\n\n[...truncated to fit the context of the AI]';
+
+export const DEFAULT_CONTEXT_TOKEN_BUDGET = 12000;
+export const DEFAULT_MAX_TOKENS = 1000;
+
+export function estimateTokens(text) {
+    if(!text) {
+        return 0;
+    }
+    const cjk = (text.match(CJK_REGEX) || []).length;
+    return cjk + Math.ceil((text.length - cjk) / CHARS_PER_TOKEN);
+}
+
+export function estimateMessageTokens(message) {
+    let tokens = TOKENS_PER_MESSAGE + estimateTokens(message.content) + estimateTokens(message.name);
+    if(message.function_call) {
+        tokens += estimateTokens(message.function_call.name) + estimateTokens(message.function_call.arguments);
+    }
+    return tokens;
+}
+
+export function estimateMessagesTokens(messages) {
+    return messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+}
+
+/**
+ * Splits the conversation in turns, each one starting with a user message,
+ * so an Action call is never separated from its result
+ */
+function toTurns(messages) {
+    const turns = [];
+    for(const m of messages) {
+        if(m.role === 'user' || !turns.length) {
+            turns.push([]);
+        }
+        turns[turns.length-1].push(m);
+    }
+    return turns;
+}
+
+function summarize(droppedTurns) {
+    const questions = droppedTurns
+        .map((turn) => turn.find((m) => m.role === 'user')?.content)
+        .filter((q) => q)
+        .map((q) => {
+            q = q.replace(/\s+/g, ' ').trim();
+            return '- ' + (q.length > MAX_SUMMARY_QUESTION_LENGTH ? q.substring(0, MAX_SUMMARY_QUESTION_LENGTH-3) + '...' : q);
+        });
+    return {
+        role: 'system',
+        content: 'Earlier messages of this conversation were left out to fit the context. The user had asked:\n' + questions.join('\n'),
+    };
+}
+
+function truncate(message, maxTokens) {
+    const maxChars = Math.max(0, maxTokens - TOKENS_PER_MESSAGE) * CHARS_PER_TOKEN;
+    if(!message.content || message.content.length <= maxChars) {
+        return message;
+    }
+    // keep the beginning: the instructions of a prompt always come before the data (logs, errors, ...)
+    return {...message, content: message.content.substring(0, Math.max(0, maxChars - TRUNCATED_MARKER.length)) + TRUNCATED_MARKER};
+}
+
+/**
+ * Returns the messages that fit in the budget (in tokens), dropping the oldest turns first
+ * and replacing them with a short summary of what the user had asked.
+ * The system messages and the latest turn are always kept, the latter truncated if it does not fit on its own.
+ *
+ * Returns {messages, tokens, droppedCount}
+ */
+export function fitToBudget(messages, budget) {
+    const system = messages.filter((m) => m.role === 'system');
+    const turns = toTurns(messages.filter((m) => m.role !== 'system'));
+    const dropped = [];
+
+    let tokens = estimateMessagesTokens(messages);
+    while(tokens > budget && turns.length > 1) {
+        dropped.push(turns.shift());
+        tokens = estimateMessagesTokens(system) + estimateMessageTokens(summarize(dropped)) + estimateMessagesTokens(turns.flat());
+    }
+
+    let result = dropped.length ? system.concat(summarize(dropped), turns.flat()) : system.concat(turns.flat());
+    if(tokens > budget) {
+        // a single turn bigger than the budget: cut the largest message, usually the prompt with the logs
+        const largest = result.reduce((a, b) => (estimateMessageTokens(b) > estimateMessageTokens(a) ? b : a));
+        const available = budget - (estimateMessagesTokens(result) - estimateMessageTokens(largest));
+        result = result.map((m) => (m === largest ? truncate(m, available) : m));
+        tokens = estimateMessagesTokens(result);
+    }
+    return {
+        messages: result,
+        tokens,
+        droppedCount: dropped.flat().length,
+    };
+}
@@ -0,0 +1,431 @@
+import { LightningElement } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+
+import listPrompts from '@salesforce/apex/PromptAdminService.listPrompts';
+import deployPrompts from '@salesforce/apex/PromptAdminService.deployPrompts';
+import getAvailableQuestionsFor from '@salesforce/apex/OpenAIQuestionProcessor.getAvailableQuestionsFor';
+import processQuestion from '@salesforce/apex/OpenAIQuestionProcessor.processQuestion';
+import getAuthToken from '@salesforce/apex/OpenAiApiService.getAuthToken';
+
+import PROMPT_CONSOLE_TITLE from '@salesforce/label/c.PROMPT_CONSOLE_TITLE';
+import PROMPT_CONSOLE_NEW from '@salesforce/label/c.PROMPT_CONSOLE_NEW';
+import PROMPT_CONSOLE_EDIT from '@salesforce/label/c.PROMPT_CONSOLE_EDIT';
+import PROMPT_CONSOLE_CLONE from '@salesforce/label/c.PROMPT_CONSOLE_CLONE';
+import PROMPT_CONSOLE_MOVE_UP from '@salesforce/label/c.PROMPT_CONSOLE_MOVE_UP';
+import PROMPT_CONSOLE_MOVE_DOWN from '@salesforce/label/c.PROMPT_CONSOLE_MOVE_DOWN';
+import PROMPT_CONSOLE_ACTIVATE from '@salesforce/label/c.PROMPT_CONSOLE_ACTIVATE';
+import PROMPT_CONSOLE_DEACTIVATE from '@salesforce/label/c.PROMPT_CONSOLE_DEACTIVATE';
+import PROMPT_CONSOLE_DEPLOY from '@salesforce/label/c.PROMPT_CONSOLE_DEPLOY';
+import PROMPT_CONSOLE_DEPLOYING from '@salesforce/label/c.PROMPT_CONSOLE_DEPLOYING';
+import PROMPT_CONSOLE_DEPLOYED from '@salesforce/label/c.PROMPT_CONSOLE_DEPLOYED';
+import PROMPT_CONSOLE_DEPLOY_FAILED from '@salesforce/label/c.PROMPT_CONSOLE_DEPLOY_FAILED';
+import PROMPT_CONSOLE_NOT_DEPLOYED from '@salesforce/label/c.PROMPT_CONSOLE_NOT_DEPLOYED';
+import PROMPT_CONSOLE_DISCARD from '@salesforce/label/c.PROMPT_CONSOLE_DISCARD';
+import PROMPT_CONSOLE_LABEL from '@salesforce/label/c.PROMPT_CONSOLE_LABEL';
+import PROMPT_CONSOLE_API_NAME from '@salesforce/label/c.PROMPT_CONSOLE_API_NAME';
+import PROMPT_CONSOLE_OBJECT from '@salesforce/label/c.PROMPT_CONSOLE_OBJECT';
+import PROMPT_CONSOLE_OBJECT_HELP from '@salesforce/label/c.PROMPT_CONSOLE_OBJECT_HELP';
+import PROMPT_CONSOLE_LANGUAGE from '@salesforce/label/c.PROMPT_CONSOLE_LANGUAGE';
+import PROMPT_CONSOLE_LANGUAGE_HELP from '@salesforce/label/c.PROMPT_CONSOLE_LANGUAGE_HELP';
+import PROMPT_CONSOLE_ORDER from '@salesforce/label/c.PROMPT_CONSOLE_ORDER';
+import PROMPT_CONSOLE_ACTIVE from '@salesforce/label/c.PROMPT_CONSOLE_ACTIVE';
+import PROMPT_CONSOLE_STATUS from '@salesforce/label/c.PROMPT_CONSOLE_STATUS';
+import PROMPT_CONSOLE_SYSTEM_PROMPT from '@salesforce/label/c.PROMPT_CONSOLE_SYSTEM_PROMPT';
+import PROMPT_CONSOLE_PROMPT from '@salesforce/label/c.PROMPT_CONSOLE_PROMPT';
+import PROMPT_CONSOLE_SELECT_PROMPT from '@salesforce/label/c.PROMPT_CONSOLE_SELECT_PROMPT';
+import PROMPT_CONSOLE_SAMPLE_RECORD from '@salesforce/label/c.PROMPT_CONSOLE_SAMPLE_RECORD';
+import PROMPT_CONSOLE_TEST_RUN from '@salesforce/label/c.PROMPT_CONSOLE_TEST_RUN';
+import PROMPT_CONSOLE_DEPLOYED_VERSION from '@salesforce/label/c.PROMPT_CONSOLE_DEPLOYED_VERSION';
+import PROMPT_CONSOLE_DRAFT_VERSION from '@salesforce/label/c.PROMPT_CONSOLE_DRAFT_VERSION';
+import PROMPT_TEMPLATE_ERRORS_TITLE from '@salesforce/label/c.PROMPT_TEMPLATE_ERRORS_TITLE';
+
+import { systemPrompt, renderPromptTemplates, streamAnswer, backendErrorMessage, BackendError } from 'c/aiCompanionClient';
+
+// prompts are ordered in steps of 10, so new ones can be placed in between when editing in Setup
+const ORDER_STEP = 10;
+
+/**
+ * Console for admins to author the Copado_AI_Companion_Prompt__mdt records: create, clone, reorder,
+ * activate and localise prompts, try them against a sample record, and deploy the changes.
+ * Changes are kept in the browser until they are deployed.
+ */
+export default class AiCompanionPromptConsole extends LightningElement {
+    prompts = [];
+    // the deployed version of each prompt, by key
+    deployedPrompts = {};
+    // keys of the prompts changed and not deployed yet
+    changedKeys = [];
+    selectedKey;
+    namespace = '';
+    isLoading = true;
+
+    deploymentId;
+    deployStatus = '';
+    subscription;
+
+    sampleRecordId;
+    isRunning = false;
+    deployedRun;
+    draftRun;
+
+    labels = {
+        PROMPT_CONSOLE_TITLE,
+        PROMPT_CONSOLE_NEW,
+        PROMPT_CONSOLE_DISCARD,
+        PROMPT_CONSOLE_LABEL,
+        PROMPT_CONSOLE_API_NAME,
+        PROMPT_CONSOLE_OBJECT,
+        PROMPT_CONSOLE_OBJECT_HELP,
+        PROMPT_CONSOLE_LANGUAGE,
+        PROMPT_CONSOLE_LANGUAGE_HELP,
+        PROMPT_CONSOLE_ORDER,
+        PROMPT_CONSOLE_ACTIVE,
+        PROMPT_CONSOLE_SYSTEM_PROMPT,
+        PROMPT_CONSOLE_PROMPT,
+        PROMPT_CONSOLE_SELECT_PROMPT,
+        PROMPT_CONSOLE_SAMPLE_RECORD,
+        PROMPT_CONSOLE_TEST_RUN,
+        PROMPT_TEMPLATE_ERRORS_TITLE,
+    }
+
+    columns = [
+        { label: PROMPT_CONSOLE_LABEL, fieldName: 'label', wrapText: true },
+        { label: PROMPT_CONSOLE_OBJECT, fieldName: 'object', initialWidth: 140 },
+        { label: PROMPT_CONSOLE_LANGUAGE, fieldName: 'language', initialWidth: 100 },
+        { label: PROMPT_CONSOLE_ORDER, fieldName: 'order', type: 'number', initialWidth: 80 },
+        { label: PROMPT_CONSOLE_ACTIVE, fieldName: 'active', type: 'boolean', initialWidth: 80 },
+        { label: PROMPT_CONSOLE_STATUS, fieldName: 'status', initialWidth: 120 },
+        { type: 'action', typeAttributes: { rowActions: (row, done) => done(this.getRowActions(row)) } },
+    ];
+
+    connectedCallback() {
+        onError((error) => console.warn('empApi error', error));
+        this.loadPrompts();
+    }
+
+    disconnectedCallback() {
+        if(this.subscription) {
+            unsubscribe(this.subscription);
+            this.subscription = null;
+        }
+    }
+
+    async loadPrompts() {
+        this.isLoading = true;
+        try {
+            const result = await listPrompts();
+            this.namespace = result.namespace ? result.namespace + '__' : '';
+            this.prompts = result.prompts.map((p) => ({...p, key: this.keyOf(p)}));
+            this.deployedPrompts = Object.fromEntries(this.prompts.map((p) => [p.key, p]));
+            this.changedKeys = [];
+            this.subscribeToDeployments();
+        } catch(err) {
+            this.showErrorMessage(err);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    keyOf(prompt) {
+        return (prompt.namespace ? prompt.namespace + '__' : '') + prompt.developerName;
+    }
+
+    get rows() {
+        return [...this.prompts]
+            .sort((a, b) => (a.object||'').localeCompare(b.object||'') || (a.order||0) - (b.order||0))
+            .map((p) => ({
+                key: p.key,
+                label: p.label,
+                object: p.object,
+                language: p.language,
+                order: p.order,
+                active: p.active,
+                status: this.changedKeys.includes(p.key) ? PROMPT_CONSOLE_NOT_DEPLOYED : '',
+            }));
+    }
+
+    get selectedPrompt() {
+        return this.prompts.find((p) => p.key === this.selectedKey);
+    }
+
+    get selectedRows() {
+        return this.selectedKey ? [this.selectedKey] : [];
+    }
+
+    get isNewPrompt() {
+        return !this.deployedPrompts[this.selectedKey];
+    }
+
+    get isApiNameReadOnly() {
+        return !this.isNewPrompt;
+    }
+
+    get hasChanges() {
+        return this.changedKeys.length > 0;
+    }
+
+    get isDeployDisabled() {
+        return !this.hasChanges || !!this.deploymentId;
+    }
+
+    get deployLabel() {
+        return PROMPT_CONSOLE_DEPLOY.replace('{0}', this.changedKeys.length);
+    }
+
+    get isTestRunDisabled() {
+        return !this.selectedPrompt || !this.sampleRecordId || this.isRunning;
+    }
+
+    // the deployed version and the changes side by side, or only the changes of a new prompt
+    get runs() {
+        const runs = [];
+        if(this.deployedRun) {
+            runs.push({...this.deployedRun, key: 'deployed', title: PROMPT_CONSOLE_DEPLOYED_VERSION});
+        }
+        if(this.draftRun) {
+            runs.push({...this.draftRun, key: 'draft', title: PROMPT_CONSOLE_DRAFT_VERSION});
+        }
+        return runs.map((run) => ({...run, size: runs.length > 1 ? 6 : 12, hasErrors: run.errors?.length > 0}));
+    }
+
+    getRowActions(row) {
+        return [
+            { label: PROMPT_CONSOLE_EDIT, name: 'edit' },
+            { label: PROMPT_CONSOLE_CLONE, name: 'clone' },
+            { label: PROMPT_CONSOLE_MOVE_UP, name: 'up' },
+            { label: PROMPT_CONSOLE_MOVE_DOWN, name: 'down' },
+            { label: row.active ? PROMPT_CONSOLE_DEACTIVATE : PROMPT_CONSOLE_ACTIVATE, name: 'toggle' },
+        ];
+    }
+
+    handleRowAction(event) {
+        const key = event.detail.row.key;
+        switch(event.detail.action.name) {
+            case 'edit':
+                this.selectPrompt(key);
+                break;
+            case 'clone':
+                this.clonePrompt(key);
+                break;
+            case 'up':
+                this.movePrompt(key, -1);
+                break;
+            case 'down':
+                this.movePrompt(key, 1);
+                break;
+            case 'toggle': {
+                const prompt = this.prompts.find((p) => p.key === key);
+                this.updatePrompt(key, { active: !prompt.active });
+                break;
+            }
+            default:
+        }
+    }
+
+    handleRowSelection(event) {
+        const row = event.detail.selectedRows[0];
+        if(row && row.key !== this.selectedKey) {
+            this.selectPrompt(row.key);
+        }
+    }
+
+    selectPrompt(key) {
+        this.selectedKey = key;
+        this.deployedRun = null;
+        this.draftRun = null;
+    }
+
+    handleNew() {
+        this.addPrompt({
+            developerName: this.uniqueDeveloperName('New_Prompt'),
+            namespace: '',
+            label: PROMPT_CONSOLE_NEW,
+            active: false,
+            object: '*',
+            language: '',
+            order: ORDER_STEP,
+            prompt: '',
+            before: '',
+        });
+    }
+
+    clonePrompt(key) {
+        const original = this.prompts.find((p) => p.key === key);
+        this.addPrompt({
+            ...original,
+            // clones belong to the org, not to the package
+            developerName: this.uniqueDeveloperName(original.developerName + '_Copy'),
+            namespace: '',
+            label: (original.label + ' (copy)').substring(0, 40),
+            active: false,
+        });
+    }
+
+    addPrompt(prompt) {
+        prompt.key = this.keyOf(prompt);
+        this.prompts = [...this.prompts, prompt];
+        this.markChanged(prompt.key);
+        this.selectPrompt(prompt.key);
+    }
+
+    uniqueDeveloperName(base) {
+        base = base.substring(0, 36);
+        let name = base;
+        for(let i = 2; this.prompts.some((p) => p.key === name); i++) {
+            name = `${base}_${i}`;
+        }
+        return name;
+    }
+
+    /**
+     * Swaps a prompt with the previous/next one of the same object, renumbering them in steps of ORDER_STEP
+     */
+    movePrompt(key, direction) {
+        const prompt = this.prompts.find((p) => p.key === key);
+        const siblings = this.rows.filter((r) => r.object === prompt.object).map((r) => r.key);
+        const index = siblings.indexOf(key);
+        const target = index + direction;
+        if(target < 0 || target >= siblings.length) {
+            return;
+        }
+        [siblings[index], siblings[target]] = [siblings[target], siblings[index]];
+        siblings.forEach((siblingKey, i) => {
+            const order = (i + 1) * ORDER_STEP;
+            if(this.prompts.find((p) => p.key === siblingKey).order !== order) {
+                this.updatePrompt(siblingKey, { order });
+            }
+        });
+    }
+
+    handleFieldChange(event) {
+        const field = event.target.dataset.field;
+        let value = event.target.type === 'toggle' || event.target.type === 'checkbox' ? event.target.checked : event.detail.value;
+        if(field === 'order') {
+            value = value === '' || value === null ? null : Number(value);
+        }
+        if(field === 'developerName') {
+            // the key of a new prompt changes with its API Name
+            const prompt = this.selectedPrompt;
+            const newKey = this.keyOf({...prompt, developerName: value});
+            this.prompts = this.prompts.map((p) => (p.key === prompt.key ? {...p, developerName: value, key: newKey} : p));
+            this.changedKeys = this.changedKeys.map((k) => (k === prompt.key ? newKey : k));
+            this.selectedKey = newKey;
+            return;
+        }
+        this.updatePrompt(this.selectedKey, { [field]: value });
+    }
+
+    updatePrompt(key, changes) {
+        this.prompts = this.prompts.map((p) => (p.key === key ? {...p, ...changes} : p));
+        this.markChanged(key);
+    }
+
+    markChanged(key) {
+        if(!this.changedKeys.includes(key)) {
+            this.changedKeys = [...this.changedKeys, key];
+        }
+    }
+
+    handleDiscard() {
+        this.selectedKey = null;
+        this.loadPrompts();
+    }
+
+    async handleDeploy() {
+        const changed = this.prompts
+            .filter((p) => this.changedKeys.includes(p.key))
+            .map(({key, ...prompt}) => prompt);
+        try {
+            this.deploymentId = await deployPrompts({ prompts: JSON.stringify(changed) });
+            this.deployStatus = PROMPT_CONSOLE_DEPLOYING;
+        } catch(err) {
+            this.showErrorMessage(err);
+        }
+    }
+
+    /**
+     * The deployment is asynchronous: its result arrives as a platform event
+     */
+    async subscribeToDeployments() {
+        if(this.subscription) {
+            return;
+        }
+        const eventName = `${this.namespace}AI_Companion_Prompt_Deployment__e`;
+        this.subscription = await subscribe(`/event/${eventName}`, -1, (message) => {
+            const payload = message.data.payload;
+            const jobId = payload[`${this.namespace}Job_Id__c`];
+            // ids can come in their 15 or 18 characters version
+            if(!this.deploymentId || jobId?.substring(0, 15) !== this.deploymentId.substring(0, 15)) {
+                return;
+            }
+            this.deploymentId = null;
+            this.deployStatus = '';
+            if(payload[`${this.namespace}Status__c`] === 'Succeeded') {
+                this.showNotification(PROMPT_CONSOLE_DEPLOYED, '', 'success');
+                this.loadPrompts();
+            }else{
+                this.showNotification(PROMPT_CONSOLE_DEPLOY_FAILED, payload[`${this.namespace}Message__c`], 'error');
+            }
+        });
+    }
+
+    handleSampleRecordChange(event) {
+        this.sampleRecordId = event.detail.value?.trim();
+    }
+
+    /**
+     * Runs the deployed version and the changes of the selected prompt against the sample record, side by side
+     */
+    async handleTestRun() {
+        const draft = this.selectedPrompt;
+        const deployed = this.deployedPrompts[draft.key];
+        this.isRunning = true;
+        this.draftRun = { answer: '', errors: [] };
+        this.deployedRun = deployed ? { answer: '', errors: [] } : null;
+        try {
+            const settings = await getAvailableQuestionsFor({ contextId: this.sampleRecordId });
+            const token = await getAuthToken();
+            await Promise.all([
+                this.runPrompt(draft, settings, token, 'draftRun'),
+                deployed ? this.runPrompt(deployed, settings, token, 'deployedRun') : null,
+            ]);
+        } catch(err) {
+            this.showErrorMessage(err);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async runPrompt(prompt, settings, token, target) {
+        try {
+            const rendered = await renderPromptTemplates(this.sampleRecordId, prompt);
+            const question = await processQuestion({ contextId: this.sampleRecordId, questionRec: rendered.questionRec });
+            this[target] = { ...this[target], prompt: question.prompt, errors: rendered.errors };
+            await streamAnswer({
+                settings,
+                token,
+                sessionId: `console-${Date.now()}-${target}`,
+                messages: [
+                    { role: 'system', content: systemPrompt(question.before) },
+                    { role: 'user', content: question.prompt },
+                ],
+                onToken: (answer) => {
+                    this[target] = { ...this[target], answer };
+                },
+            });
+        } catch(err) {
+            this[target] = { ...this[target], error: err instanceof BackendError ? backendErrorMessage(err) : err?.body?.message || '' + err };
+        }
+    }
+
+    showErrorMessage(err) {
+        console.error(err);
+        const userError = err?.body?.message || '' + err;
+        this.showNotification('There was an error', userError, 'error');
+    }
+
+    showNotification(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
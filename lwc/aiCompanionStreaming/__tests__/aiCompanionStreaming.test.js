@@ -0,0 +1,306 @@
+import { createElement } from 'lwc';
+import { TextDecoder } from 'util';
+import AiCompanionStreaming from 'c/aiCompanionStreaming';
+import getAuthToken from '@salesforce/apex/OpenAiApiService.getAuthToken';
+import getAvailableQuestionsFor from '@salesforce/apex/OpenAIQuestionProcessor.getAvailableQuestionsFor';
+import actionResponseCall from '@salesforce/apex/Action.callAction';
+import saveConversation from '@salesforce/apex/AiCompanionConversationService.saveConversation';
+import listConversations from '@salesforce/apex/AiCompanionConversationService.listConversations';
+import saveFeedback from '@salesforce/apex/AiCompanionFeedbackService.saveFeedback';
+import describeRecord from '@salesforce/apex/AiCompanionContextService.describeRecord';
+
+// jsdom does not have TextDecoder
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+jest.mock('@salesforce/apex/OpenAiApiService.getAuthToken', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/OpenAIQuestionProcessor.processQuestion', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/OpenAIQuestionProcessor.getAvailableQuestionsFor', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/Action.callAction', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/Action.requestConfirmation', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/Action.runConfirmedAction', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/Action.declineAction', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionConversationService.saveConversation', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionConversationService.listConversations', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionConversationService.getConversation', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionConversationService.deleteConversation', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionRecordService.getTextFields', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionRecordService.insertIntoField', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionFeedbackService.saveFeedback', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionFileService.listFiles', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionFileService.getFileContents', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionExportService.saveAsNote', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionExportService.postToChatter', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionHandoffService.createHandoff', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionHandoffService.redeemHandoff', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionContextService.describeRecord', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AiCompanionContextService.searchRecords', () => ({ default: jest.fn() }), { virtual: true });
+
+const RECORD_ID = 'a0A000000000001EAA';
+
+const SETTINGS = {
+    prompts: [],
+    objectLabel: 'User Story',
+    backendUrl: 'https://backend.example.com/chat',
+    provider: 'Copado',
+    userId: '005000000000001',
+    orgId: '00D000000000001',
+    userName: 'Test User',
+    languageLocaleKey: 'en_US',
+    actions: {
+        CreateUserStory: JSON.stringify({ name: 'create_user_story', parameters: {}, examples: [] }),
+    },
+    actionPolicies: { CreateUserStory: 'allow' },
+};
+
+// a streamed answer of the Copado backend, one event per line
+function streamedResponse(...events) {
+    return chunkedResponse(events.map((e) => JSON.stringify(e) + '\n'));
+}
+
+// a response streamed in chunks, e.g. server-sent events of a provider through its proxy
+function chunkedResponse(chunks) {
+    const lines = [...chunks];
+    return {
+        ok: true,
+        status: 200,
+        body: {
+            getReader: () => ({
+                read: () => Promise.resolve(lines.length ? { done: false, value: lines.shift() } : { done: true }),
+            }),
+        },
+    };
+}
+
+// a request waiting for its answer until it is aborted, like fetch
+function pendingUntilAborted(url, { signal }) {
+    return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('The request was aborted', 'AbortError')));
+    });
+}
+
+const token = (content) => ({ type: 'token', content });
+
+// the answer is sent after a timeout, so the bubble is rendered first
+const flush = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+async function createComponent() {
+    const element = createElement('c-ai-companion-streaming', { is: AiCompanionStreaming });
+    element.contextId = RECORD_ID;
+    document.body.appendChild(element);
+    await flush();
+    return element;
+}
+
+async function ask(element, question) {
+    const textarea = element.shadowRoot.querySelector('lightning-textarea[data-id="message"]');
+    textarea.value = question;
+    textarea.dispatchEvent(new CustomEvent('change'));
+    element.shadowRoot.querySelector('lightning-button[data-id="send"]').click();
+    await flush();
+    await flush();
+}
+
+function bubbles(element) {
+    return Array.from(element.shadowRoot.querySelectorAll('.bubble')).map((b) => ({
+        role: b.dataset.role,
+        content: b.querySelector('.contentToCopy').dataset.content,
+    }));
+}
+
+describe('c-ai-companion-streaming', () => {
+    beforeEach(() => {
+        Element.prototype.scrollIntoView = jest.fn();
+        getAvailableQuestionsFor.mockResolvedValue(SETTINGS);
+        listConversations.mockResolvedValue([]);
+        describeRecord.mockResolvedValue({ name: 'US-0000001', objectLabel: 'User Story', isAllowed: true });
+        saveConversation.mockResolvedValue(null);
+        getAuthToken.mockResolvedValue('token');
+        global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+        while(document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        delete global.fetch;
+    });
+
+    it('streams the answer into a bubble after the question, and saves the conversation', async () => {
+        fetch.mockResolvedValueOnce(streamedResponse({ type: 'status', content: 'Thinking' }, token('Add the '), token('missing field')));
+        const element = await createComponent();
+
+        await ask(element, 'Why did the deployment fail?');
+
+        expect(fetch).toHaveBeenCalledWith(SETTINGS.backendUrl, expect.objectContaining({ method: 'POST' }));
+        expect(JSON.parse(fetch.mock.calls[0][1].body).messages.slice(1)).toEqual([
+            { role: 'user', content: 'Why did the deployment fail?' },
+        ]);
+        expect(bubbles(element)).toEqual([
+            { role: 'user', content: 'Why did the deployment fail?' },
+            { role: 'assistant', content: 'Add the missing field' },
+        ]);
+        expect(JSON.parse(saveConversation.mock.calls[0][0].messages)).toEqual([
+            { role: 'user', content: 'Why did the deployment fail?' },
+            { role: 'assistant', content: 'Add the missing field' },
+        ]);
+        expect(element.shadowRoot.querySelector('lightning-button[data-id="send"]')).not.toBeNull();
+    });
+
+    it('streams the answer of another provider through its proxy, with the token of the proxy', async () => {
+        getAvailableQuestionsFor.mockResolvedValue({ ...SETTINGS, provider: 'Anthropic', backendUrl: 'https://ai-proxy.example.com/chat', model: 'claude-model' });
+        getAuthToken.mockResolvedValue('signed-token');
+        const delta = (text) => `event: content_block_delta\ndata: ${JSON.stringify({ type: 'content_block_delta', delta: { type: 'text_delta', text } })}\n\n`;
+        fetch.mockResolvedValueOnce(chunkedResponse([delta('Add the '), delta('missing'), delta(' field')]));
+        const element = await createComponent();
+
+        await ask(element, 'Why did the deployment fail?');
+
+        const [url, request] = fetch.mock.calls[0];
+        expect(url).toBe('https://ai-proxy.example.com/chat');
+        expect(request.headers.Authorization).toBe('Bearer signed-token');
+        expect(JSON.parse(request.body)).toMatchObject({ model: 'claude-model', stream: true,
+            messages: [{ role: 'user', content: 'Why did the deployment fail?' }] });
+        expect(bubbles(element)[1]).toEqual({ role: 'assistant', content: 'Add the missing field' });
+    });
+
+    it('tells the user that the Copado backend may still finish a stopped answer', async () => {
+        fetch.mockImplementation(pendingUntilAborted);
+        const element = await createComponent();
+
+        await ask(element, 'Why did the deployment fail?');
+        const stop = element.shadowRoot.querySelector('lightning-button[data-id="stop"]');
+        expect(stop.title).toBe('c.CHAT_STOP_NOT_CANCELLED');
+        stop.click();
+        await flush();
+
+        expect(element.shadowRoot.querySelector('.statusMessage').textContent).toBe('c.CHAT_STOPPED_STATUS c.CHAT_STOP_NOT_CANCELLED');
+        expect(element.shadowRoot.querySelector('lightning-button[data-id="send"]')).not.toBeNull();
+    });
+
+    it('stops the answer of another provider by closing its connection to the proxy', async () => {
+        getAvailableQuestionsFor.mockResolvedValue({ ...SETTINGS, provider: 'OpenAI', backendUrl: 'https://ai-proxy.example.com/chat' });
+        fetch.mockImplementation(pendingUntilAborted);
+        const element = await createComponent();
+
+        await ask(element, 'Why did the deployment fail?');
+        const stop = element.shadowRoot.querySelector('lightning-button[data-id="stop"]');
+        expect(stop.title).toBe('c.CHAT_STOP_BUTTON_HELP');
+        stop.click();
+        await flush();
+
+        expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+        expect(element.shadowRoot.querySelector('.statusMessage').textContent).toBe('c.CHAT_STOPPED_STATUS');
+    });
+
+    it('runs the Actions requested by the AI and sends it their results, without logging their arguments', async () => {
+        const info = jest.spyOn(console, 'info').mockImplementation(() => {});
+        actionResponseCall.mockResolvedValue({ message: 'Created US-0001. ' });
+        fetch.mockResolvedValueOnce(streamedResponse({
+            type: 'function_call',
+            function_call: { name: 'create_user_story', arguments: '{"title":"Customer SSN 123-45-6789"}' },
+        }))
+        .mockResolvedValueOnce(streamedResponse(token('It is ready')));
+        const element = await createComponent();
+
+        await ask(element, 'Create a user story');
+
+        expect(actionResponseCall).toHaveBeenCalledWith({
+            contextId: RECORD_ID, name: 'CreateUserStory', args: { title: 'Customer SSN 123-45-6789' },
+        });
+        // the call and its result are not shown, but go to the AI
+        expect(JSON.parse(fetch.mock.calls[1][1].body).messages.slice(2).map((m) => m.role)).toEqual(['assistant', 'function']);
+        expect(bubbles(element)).toEqual([
+            { role: 'user', content: 'Create a user story' },
+            { role: 'assistant', content: 'Created US-0001. \n\nIt is ready' },
+        ]);
+        expect(info).not.toHaveBeenCalled();
+        info.mockRestore();
+    });
+
+    it('edits a question and asks it again, discarding the answer that followed it', async () => {
+        fetch.mockResolvedValueOnce(streamedResponse(token('Add the missing field')))
+            .mockResolvedValueOnce(streamedResponse(token('Deploy the profile too')));
+        const element = await createComponent();
+        await ask(element, 'Why did the deployment fail?');
+
+        element.shadowRoot.querySelector('.bubble[data-role="user"] .actions lightning-button-icon').click();
+        await Promise.resolve();
+
+        const editor = element.shadowRoot.querySelector('.editMessage lightning-textarea');
+        expect(editor.value).toBe('Why did the deployment fail?');
+        editor.value = 'Why did the validation fail?';
+        editor.dispatchEvent(new CustomEvent('change'));
+        element.shadowRoot.querySelector('.editMessageActions lightning-button:last-child').click();
+        await flush();
+        await flush();
+
+        expect(JSON.parse(fetch.mock.calls[1][1].body).messages.slice(1)).toEqual([
+            { role: 'user', content: 'Why did the validation fail?' },
+        ]);
+        expect(bubbles(element)).toEqual([
+            { role: 'user', content: 'Why did the validation fail?' },
+            { role: 'assistant', content: 'Deploy the profile too' },
+        ]);
+        expect(element.shadowRoot.querySelector('.editMessage')).toBeNull();
+    });
+
+    it('cancels the edition of a question', async () => {
+        fetch.mockResolvedValueOnce(streamedResponse(token('Add the missing field')));
+        const element = await createComponent();
+        await ask(element, 'Why did the deployment fail?');
+
+        element.shadowRoot.querySelector('.bubble[data-role="user"] .actions lightning-button-icon').click();
+        await Promise.resolve();
+        element.shadowRoot.querySelector('.editMessageActions lightning-button:first-child').click();
+        await Promise.resolve();
+
+        expect(element.shadowRoot.querySelector('.editMessage')).toBeNull();
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('saves the rating of an answer, then the comment of the user', async () => {
+        saveFeedback.mockResolvedValue({ id: 'a0F000000000001EAA' });
+        fetch.mockResolvedValueOnce(streamedResponse(token('Add the missing field')));
+        const element = await createComponent();
+        await ask(element, 'Why did the deployment fail?');
+
+        element.shadowRoot.querySelector('[data-rating="down"]').click();
+        await flush();
+
+        expect(saveFeedback).toHaveBeenCalledWith(expect.objectContaining({
+            feedbackId: undefined, contextId: RECORD_ID, messageIndex: 1, rating: 'Not Helpful',
+            question: 'Why did the deployment fail?', answer: 'Add the missing field',
+        }));
+        expect(element.shadowRoot.querySelector('[data-rating="down"]').selected).toBe(true);
+        expect(element.shadowRoot.querySelector('[data-rating="up"]').selected).toBe(false);
+
+        const comment = element.shadowRoot.querySelector('.feedbackComment lightning-textarea');
+        comment.value = 'The field exists';
+        comment.dispatchEvent(new CustomEvent('change'));
+        element.shadowRoot.querySelector('.feedbackCommentActions lightning-button:last-child').click();
+        await flush();
+
+        expect(saveFeedback).toHaveBeenLastCalledWith(expect.objectContaining({
+            feedbackId: 'a0F000000000001EAA', rating: 'Not Helpful', comment: 'The field exists',
+        }));
+        expect(element.shadowRoot.querySelector('.feedbackComment')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-rating="down"]').selected).toBe(true);
+    });
+
+    it('closes the comment of a rating without saving it again', async () => {
+        saveFeedback.mockResolvedValue({ id: 'a0F000000000001EAA' });
+        fetch.mockResolvedValueOnce(streamedResponse(token('Add the missing field')));
+        const element = await createComponent();
+        await ask(element, 'Why did the deployment fail?');
+
+        element.shadowRoot.querySelector('[data-rating="up"]').click();
+        await flush();
+        element.shadowRoot.querySelector('.feedbackCommentActions lightning-button:first-child').click();
+        await Promise.resolve();
+
+        expect(element.shadowRoot.querySelector('.feedbackComment')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-rating="up"]').selected).toBe(true);
+        expect(saveFeedback).toHaveBeenCalledTimes(1);
+    });
+});
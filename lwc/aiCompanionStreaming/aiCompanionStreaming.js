@@ -3,11 +3,32 @@ import { LightningElement } from 'lwc';
 import { CurrentPageReference } from 'lightning/navigation';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { loadStyle } from "lightning/platformResourceLoader";
+import LightningConfirm from 'lightning/confirm';
+import { notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
+import { IsConsoleNavigation, getFocusedTabInfo } from 'lightning/platformWorkspaceApi';
 
 import getAuthToken from '@salesforce/apex/OpenAiApiService.getAuthToken';
 import processQuestion from '@salesforce/apex/OpenAIQuestionProcessor.processQuestion';
 import getAvailableQuestionsFor from '@salesforce/apex/OpenAIQuestionProcessor.getAvailableQuestionsFor';
 import actionResponseCall from '@salesforce/apex/Action.callAction';
+import requestActionConfirmation from '@salesforce/apex/Action.requestConfirmation';
+import runConfirmedAction from '@salesforce/apex/Action.runConfirmedAction';
+import declineAction from '@salesforce/apex/Action.declineAction';
+import saveConversation from '@salesforce/apex/AiCompanionConversationService.saveConversation';
+import listConversations from '@salesforce/apex/AiCompanionConversationService.listConversations';
+import getConversation from '@salesforce/apex/AiCompanionConversationService.getConversation';
+import deleteConversation from '@salesforce/apex/AiCompanionConversationService.deleteConversation';
+import getTextFields from '@salesforce/apex/AiCompanionRecordService.getTextFields';
+import insertIntoField from '@salesforce/apex/AiCompanionRecordService.insertIntoField';
+import saveFeedback from '@salesforce/apex/AiCompanionFeedbackService.saveFeedback';
+import listFiles from '@salesforce/apex/AiCompanionFileService.listFiles';
+import getFileContents from '@salesforce/apex/AiCompanionFileService.getFileContents';
+import saveAsNote from '@salesforce/apex/AiCompanionExportService.saveAsNote';
+import postToChatter from '@salesforce/apex/AiCompanionExportService.postToChatter';
+import createHandoff from '@salesforce/apex/AiCompanionHandoffService.createHandoff';
+import redeemHandoff from '@salesforce/apex/AiCompanionHandoffService.redeemHandoff';
+import describeRecord from '@salesforce/apex/AiCompanionContextService.describeRecord';
+import searchRecords from '@salesforce/apex/AiCompanionContextService.searchRecords';
 
 import widerModalStyles from "@salesforce/resourceUrl/copado_devops_ai_companion_css";
 
@@ -26,8 +47,82 @@ import ERROR_BACKEND from '@salesforce/label/c.ERROR_BACKEND';
 import TEXTAREA_PLACEHOLDER from '@salesforce/label/c.TEXTAREA_PLACEHOLDER';
 import ACTION_DEFINITION_ERROR from '@salesforce/label/c.ACTION_DEFINITION_ERROR';
 import ACTION_PLACEHOLDER from '@salesforce/label/c.ACTION_PLACEHOLDER';
+import CHAT_HISTORY_LABEL from '@salesforce/label/c.CHAT_HISTORY_LABEL';
+import CHAT_HISTORY_EMPTY from '@salesforce/label/c.CHAT_HISTORY_EMPTY';
+import CHAT_HISTORY_DELETE from '@salesforce/label/c.CHAT_HISTORY_DELETE';
+import CHAT_HISTORY_SAVE_ERROR from '@salesforce/label/c.CHAT_HISTORY_SAVE_ERROR';
+import CHAT_STOP_BUTTON_LABEL from '@salesforce/label/c.CHAT_STOP_BUTTON_LABEL';
+import CHAT_STOP_BUTTON_HELP from '@salesforce/label/c.CHAT_STOP_BUTTON_HELP';
+import CHAT_STOP_NOT_CANCELLED from '@salesforce/label/c.CHAT_STOP_NOT_CANCELLED';
+import CHAT_STOPPED_STATUS from '@salesforce/label/c.CHAT_STOPPED_STATUS';
+import CHAT_EXPORT from '@salesforce/label/c.CHAT_EXPORT';
+import CHAT_EXPORT_MARKDOWN from '@salesforce/label/c.CHAT_EXPORT_MARKDOWN';
+import CHAT_EXPORT_HTML from '@salesforce/label/c.CHAT_EXPORT_HTML';
+import CHAT_EXPORT_NOTE from '@salesforce/label/c.CHAT_EXPORT_NOTE';
+import CHAT_EXPORT_CHATTER from '@salesforce/label/c.CHAT_EXPORT_CHATTER';
+import CHAT_EXPORT_NOTE_SAVED from '@salesforce/label/c.CHAT_EXPORT_NOTE_SAVED';
+import CHAT_EXPORT_CHATTER_POSTED from '@salesforce/label/c.CHAT_EXPORT_CHATTER_POSTED';
+import CHAT_ATTACH_FILES from '@salesforce/label/c.CHAT_ATTACH_FILES';
+import CHAT_ATTACH_FILES_EMPTY from '@salesforce/label/c.CHAT_ATTACH_FILES_EMPTY';
+import CHAT_ATTACHED_FILES from '@salesforce/label/c.CHAT_ATTACHED_FILES';
+import CHAT_REGENERATE from '@salesforce/label/c.CHAT_REGENERATE';
+import CHAT_PREVIOUS_ANSWER from '@salesforce/label/c.CHAT_PREVIOUS_ANSWER';
+import CHAT_NEXT_ANSWER from '@salesforce/label/c.CHAT_NEXT_ANSWER';
+import CHAT_ANSWER_POSITION from '@salesforce/label/c.CHAT_ANSWER_POSITION';
+import CHAT_EDIT_MESSAGE from '@salesforce/label/c.CHAT_EDIT_MESSAGE';
+import CHAT_EDIT_RESEND from '@salesforce/label/c.CHAT_EDIT_RESEND';
+import CHAT_EDIT_CANCEL from '@salesforce/label/c.CHAT_EDIT_CANCEL';
+import ACTION_CONFIRM_TITLE from '@salesforce/label/c.ACTION_CONFIRM_TITLE';
+import ACTION_CONFIRM_MESSAGE from '@salesforce/label/c.ACTION_CONFIRM_MESSAGE';
+import ACTION_DECLINED from '@salesforce/label/c.ACTION_DECLINED';
+import ACTION_ERROR from '@salesforce/label/c.ACTION_ERROR';
+import CHAT_CONTEXT_USED from '@salesforce/label/c.CHAT_CONTEXT_USED';
+import CHAT_CONTEXT_TRUNCATED from '@salesforce/label/c.CHAT_CONTEXT_TRUNCATED';
+import PROMPT_TEMPLATE_ERRORS_TITLE from '@salesforce/label/c.PROMPT_TEMPLATE_ERRORS_TITLE';
+import CODE_BLOCK_COPY from '@salesforce/label/c.CODE_BLOCK_COPY';
+import CODE_BLOCK_DOWNLOAD from '@salesforce/label/c.CODE_BLOCK_DOWNLOAD';
+import CODE_BLOCK_INSERT from '@salesforce/label/c.CODE_BLOCK_INSERT';
+import CODE_BLOCK_INSERT_TITLE from '@salesforce/label/c.CODE_BLOCK_INSERT_TITLE';
+import CODE_BLOCK_INSERT_FIELD from '@salesforce/label/c.CODE_BLOCK_INSERT_FIELD';
+import CODE_BLOCK_INSERT_REPLACE from '@salesforce/label/c.CODE_BLOCK_INSERT_REPLACE';
+import CODE_BLOCK_INSERT_CONFIRM from '@salesforce/label/c.CODE_BLOCK_INSERT_CONFIRM';
+import CODE_BLOCK_INSERT_CANCEL from '@salesforce/label/c.CODE_BLOCK_INSERT_CANCEL';
+import CODE_BLOCK_INSERTED from '@salesforce/label/c.CODE_BLOCK_INSERTED';
+import CODE_BLOCK_NO_FIELDS from '@salesforce/label/c.CODE_BLOCK_NO_FIELDS';
+import FEEDBACK_HELPFUL from '@salesforce/label/c.FEEDBACK_HELPFUL';
+import FEEDBACK_NOT_HELPFUL from '@salesforce/label/c.FEEDBACK_NOT_HELPFUL';
+import FEEDBACK_COMMENT_LABEL from '@salesforce/label/c.FEEDBACK_COMMENT_LABEL';
+import FEEDBACK_COMMENT_PLACEHOLDER from '@salesforce/label/c.FEEDBACK_COMMENT_PLACEHOLDER';
+import FEEDBACK_SEND from '@salesforce/label/c.FEEDBACK_SEND';
+import FEEDBACK_CANCEL from '@salesforce/label/c.FEEDBACK_CANCEL';
+import FEEDBACK_THANKS from '@salesforce/label/c.FEEDBACK_THANKS';
+import FEEDBACK_SAVE_ERROR from '@salesforce/label/c.FEEDBACK_SAVE_ERROR';
+import CHAT_RECORD_LABEL from '@salesforce/label/c.CHAT_RECORD_LABEL';
+import CHAT_RECORD_NONE from '@salesforce/label/c.CHAT_RECORD_NONE';
+import CHAT_RECORD_CHANGE from '@salesforce/label/c.CHAT_RECORD_CHANGE';
+import CHAT_RECORD_SEARCH from '@salesforce/label/c.CHAT_RECORD_SEARCH';
+import CHAT_RECORD_SEARCH_EMPTY from '@salesforce/label/c.CHAT_RECORD_SEARCH_EMPTY';
+import CHAT_RECORD_DETECTED from '@salesforce/label/c.CHAT_RECORD_DETECTED';
+import CHAT_RECORD_NOT_ALLOWED from '@salesforce/label/c.CHAT_RECORD_NOT_ALLOWED';
+import CHAT_RECORD_MANUAL from '@salesforce/label/c.CHAT_RECORD_MANUAL';
+import CHAT_RETRY from '@salesforce/label/c.CHAT_RETRY';
+import CHAT_RETRYING from '@salesforce/label/c.CHAT_RETRYING';
 
-import { marked } from './markdown';
+import { getProvider, copadoHeaders, systemPrompt, fitToBudget, DEFAULT_CONTEXT_TOKEN_BUDGET, DEFAULT_MAX_TOKENS,
+    renderPromptTemplates, renderMarkdown, StreamingMarkdownRenderer, decorateCodeBlocks, getCodeBlock, downloadCodeBlock,
+    CODE_ACTION_COPY, CODE_ACTION_DOWNLOAD, CODE_ACTION_INSERT, formatAttachments, attachmentsBudget, downloadText,
+    conversationTitle, exportFileName, conversationToMarkdown, conversationToHtml, conversationToRichText,
+    EXPORT_MARKDOWN, EXPORT_HTML, EXPORT_NOTE, EXPORT_CHATTER, CHATTER_MAX_LENGTH, resolveRecordContext, SOURCE_MANUAL,
+    fetchFromProvider, backendErrorMessage, MAX_RETRIES } from 'c/aiCompanionClient';
+
+// maximum number of times the AI can call Actions and continue answering with their results, for a single question
+const MAX_ACTION_STEPS = 5;
+
+// wait for the user to stop typing before searching records
+const RECORD_SEARCH_DELAY = 300;
+
+// the thumbs of the answers, and their Rating in AI_Companion_Feedback__c
+const FEEDBACK_RATINGS = { up: 'Helpful', down: 'Not Helpful' };
 
 export default class AiCompanionStreaming extends LightningElement {
     @api contextId;
@@ -43,12 +138,27 @@ export default class AiCompanionStreaming extends LightningElement {
     userName;
     backendUrl;
     backendAuthToken;
+    provider = getProvider();
+    providerSettings = {};
+    contextTokenBudget = DEFAULT_CONTEXT_TOKEN_BUDGET;
+    maxTokens = DEFAULT_MAX_TOKENS;
+    // estimated size of the conversation, and how many messages were left out of it
+    contextTokens = 0;
+    contextDroppedCount = 0;
     conversationSessionId;
+    handoffToken;
     namespace;
 
     userMessage;
     selectedQuestion;
     isLoading = true;
+    isStreaming = false;
+    abortController;
+    streamBuffer = '';
+    // the renderer of the answer being streamed, and the content already rendered of each message element
+    streamingRenderer;
+    renderedContents = new WeakMap();
+    pendingActionResults = 0;
     more = false;
     pageReferenceCalled=false;
     initialized=false;
@@ -60,9 +170,36 @@ export default class AiCompanionStreaming extends LightningElement {
     messages = [];
     lastMessage = {};
     statusMessage = '';
+    // errors of the template of the selected prompt
+    templateErrors = [];
+
+    // the code block being inserted into the record: {code, fields, field, replace}
+    codeToInsert;
+    isInsertingCode = false;
+
+    // saved conversations of the current record
+    conversations = [];
+    showHistory = false;
+
+    // the record the AI Companion is talking about: {id, name, objectName, objectLabel, isAllowed},
+    // where it was found (see recordContext.js) and the one given by the Flow, if any (see detectContext)
+    contextRecord;
+    contextSource;
+    explicitContextId;
+    pageReference;
+    showRecordPicker = false;
+    recordSearchTerm = '';
+    recordSearchResults = [];
+    recordSearchTimeout;
+
+    // text files of the current record, and the ones attached to the next question
+    files = [];
+    showFiles = false;
+    selectedFileIds = [];
 
     // everything for the actions
     fuctionsClassMap = {};
+    actionPolicies = {};
     functions = [];
     functionExamples = [];
 
@@ -82,11 +219,66 @@ export default class AiCompanionStreaming extends LightningElement {
         TEXTAREA_PLACEHOLDER,
         ACTION_DEFINITION_ERROR,
         ACTION_PLACEHOLDER,
+        CHAT_HISTORY_LABEL,
+        CHAT_HISTORY_EMPTY,
+        CHAT_HISTORY_DELETE,
+        CHAT_HISTORY_SAVE_ERROR,
+        CHAT_STOP_BUTTON_LABEL,
+        CHAT_STOP_BUTTON_HELP,
+        CHAT_STOP_NOT_CANCELLED,
+        CHAT_STOPPED_STATUS,
+        CHAT_EXPORT,
+        CHAT_EXPORT_MARKDOWN,
+        CHAT_EXPORT_HTML,
+        CHAT_EXPORT_NOTE,
+        CHAT_EXPORT_CHATTER,
+        CHAT_ATTACH_FILES,
+        CHAT_ATTACH_FILES_EMPTY,
+        CHAT_ATTACHED_FILES,
+        CHAT_REGENERATE,
+        CHAT_PREVIOUS_ANSWER,
+        CHAT_NEXT_ANSWER,
+        CHAT_ANSWER_POSITION,
+        CHAT_EDIT_MESSAGE,
+        CHAT_EDIT_RESEND,
+        CHAT_EDIT_CANCEL,
+        ACTION_CONFIRM_TITLE,
+        ACTION_CONFIRM_MESSAGE,
+        ACTION_DECLINED,
+        ACTION_ERROR,
+        CHAT_CONTEXT_USED,
+        CHAT_CONTEXT_TRUNCATED,
+        PROMPT_TEMPLATE_ERRORS_TITLE,
+        CODE_BLOCK_INSERT_TITLE,
+        CODE_BLOCK_INSERT_FIELD,
+        CODE_BLOCK_INSERT_REPLACE,
+        CODE_BLOCK_INSERT_CONFIRM,
+        CODE_BLOCK_INSERT_CANCEL,
+        FEEDBACK_HELPFUL,
+        FEEDBACK_NOT_HELPFUL,
+        FEEDBACK_COMMENT_LABEL,
+        FEEDBACK_COMMENT_PLACEHOLDER,
+        FEEDBACK_SEND,
+        FEEDBACK_CANCEL,
+        FEEDBACK_SAVE_ERROR,
+        CHAT_RECORD_LABEL,
+        CHAT_RECORD_CHANGE,
+        CHAT_RECORD_SEARCH,
+        CHAT_RECORD_SEARCH_EMPTY,
+        CHAT_RECORD_DETECTED,
+        CHAT_RECORD_NONE,
+        CHAT_RECORD_MANUAL,
+        CHAT_RETRY,
     }
 
+    @wire(IsConsoleNavigation) isConsoleNavigation;
+
     @wire(CurrentPageReference) handlePageReference(pageReference) {
-        // eslint-disable-next-line @lwc/lwc/no-api-reassignments
-        this.contextId = pageReference.attributes?.recordId || this.extractRecordIdFromUrl();
+        this.pageReference = pageReference;
+        // a record chosen by the user is kept while navigating
+        if(this.contextSource !== SOURCE_MANUAL) {
+            this.detectContext();
+        }
         this.pageReferenceCalled = true;
         // only re-initialize if there is no conversation going on
         if(this.messages.length===0) {
@@ -96,7 +288,7 @@ export default class AiCompanionStreaming extends LightningElement {
 
     connectedCallback() {
         try{
-            this.conversationSessionId = (Math.random() + 1).toString(36);
+            this.conversationSessionId = this.newSessionId();
             // trick to load an external CSS and make the modal bigger when maximized
             loadStyle(this, widerModalStyles);
         }catch(e) {
@@ -107,12 +299,17 @@ export default class AiCompanionStreaming extends LightningElement {
     async renderedCallback() {
         try{
             this.scrollToBottom();
-            this.textAreaElt = this.template.querySelector('lightning-textarea');
+            this.textAreaElt = this.template.querySelector('lightning-textarea[data-id="message"]');
             if(!this.pageReferenceCalled) {
                 this.pageReferenceCalled = true;
-                // eslint-disable-next-line @lwc/lwc/no-api-reassignments
-                this.contextId = this.extractRecordIdFromUrl(true);
-                this.initializePromptsAndObject();
+                this.detectContext();
+                this.readHandoffToken();
+                const initialized = this.initializePromptsAndObject();
+                if(this.handoffToken) {
+                    // after the prompts are loaded, to select the one of the conversation
+                    initialized.then(() => this.loadHandoff(this.handoffToken));
+                }
+                this.loadConversations();
                 if(this.hideFullScreen) {
                     // if it is not the global actions window, set the textare small
                     this.template.host.style.setProperty('--textareHeight', '0.5rem');
@@ -128,185 +325,380 @@ export default class AiCompanionStreaming extends LightningElement {
         // re-render the message(s) that were streamed
         const markdownMessages = this.template.querySelectorAll('.contentToCopy[data-content]');
         for(let elt of markdownMessages) {
+            const content = elt.getAttribute('data-content');
+            // the message being streamed is rendered by its StreamingMarkdownRenderer, the others only when they change
+            if(elt === this.streamingRenderer?.element || this.renderedContents.get(elt) === content) {
+                continue;
+            }
             // eslint-disable-next-line @lwc/lwc/no-inner-html
-            elt.innerHTML = marked()(elt.getAttribute('data-content'));
+            elt.innerHTML = renderMarkdown(content);
+            decorateCodeBlocks(elt, this.codeBlockActions);
+            this.renderedContents.set(elt, content);
         }
     }
 
-    async processChunkedResponse(reader) {
-        let buffer = "";
-        const decoder = new TextDecoder("utf-8");
+    // the buttons of the code blocks of the answers. Inserting needs a record
+    get codeBlockActions() {
+        const actions = [
+            { name: CODE_ACTION_COPY, label: CODE_BLOCK_COPY },
+            { name: CODE_ACTION_DOWNLOAD, label: CODE_BLOCK_DOWNLOAD },
+        ];
+        if(this.contextId) {
+            actions.push({ name: CODE_ACTION_INSERT, label: CODE_BLOCK_INSERT });
+        }
+        return actions;
+    }
+
+    async processChunkedResponse(reader, buffer = "") {
+        // the provider adapter converts its stream into status/error/token/function_call events
+        const parser = this.provider.createParser();
         const outputElt = this.template.querySelector('.contentToCopy[data-islast="true"]');
+        // only the end of the answer is rendered again on each token, once per animation frame
+        this.streamingRenderer = new StreamingMarkdownRenderer(outputElt, {
+            onRender: () => {
+                decorateCodeBlocks(outputElt, this.codeBlockActions);
+                this.scrollToBottom();
+            }
+        });
+        try{
+            return await this.readChunks(reader, parser, outputElt, buffer);
+        }finally{
+            // also when stopped by the user, with whatever was answered
+            this.streamingRenderer.finish(this.streamBuffer);
+            this.renderedContents.set(outputElt, this.streamBuffer);
+            this.streamingRenderer = null;
+        }
+    }
 
+    /**
+     * Reads the stream until it ends, returning the answer: the tokens and the results of the Actions
+     */
+    async readChunks(reader, parser, outputElt, buffer) {
         // eslint-disable-next-line no-constant-condition
         while (true) {
             // eslint-disable-next-line no-await-in-loop
             let { done, value } = await reader.read();
-            if (done) {
-                break;
-            }
-            let results;
-            try {
-                results = decoder.decode(value);
-                results = results.trim().split('\n');
-            } catch (e) {
-                console.warn("Failed to decode", results, "Error="+e);
-                continue;
-            }
+            // events can be split across chunks, the parser only returns complete ones
+            const results = done ? parser.flush() : parser.push(value);
             for(let result of results) {
-                try {
-                    result = JSON.parse(result);
-                } catch (e) {
-                    console.warn("Failed to parse", result, "Error="+e);
-                    continue;
-                }
                 if(result.type === 'status') {
                     this.statusMessage = result.content;
                 }else if(result.type === 'error') {
                     this.statusMessage = 'Error: '+result.content;
                 }else if(result.type === 'token') {
                     buffer += result.content;
+                    this.streamBuffer = buffer;
                     outputElt.setAttribute('data-content', buffer);
-                    // eslint-disable-next-line @lwc/lwc/no-inner-html
-                    outputElt.innerHTML = marked()(buffer);
+                    this.streamingRenderer.update(buffer);
                     this.statusMessage = '';
-                    this.scrollToBottom();
                 }else if(result.type === 'function_call') {
                     try{
                         const fn = result.function_call;
-                        console.info('AI Action requested:', fn.name, fn.arguments);
                         const args = JSON.parse(fn.arguments);
                         let className = this.fuctionsClassMap[fn.name];
                         // eslint-disable-next-line no-await-in-loop
-                        let actionResult = await actionResponseCall({contextId: this.contextId, name: className, args: args});
-                        // TODO: error handling? both general and specific error messages in actionResult.error
+                        let actionResult = await this.runAction(className, args);
+                        if(!actionResult) {
+                            buffer += this.labels.ACTION_DECLINED;
+                            this.streamBuffer = buffer;
+                            this.addActionMessages(fn, {error: this.labels.ACTION_DECLINED});
+                            continue;
+                        }
+                        // the result goes back to the AI, so it can continue answering with it
+                        this.addActionMessages(fn, actionResult);
                         buffer += actionResult.message||'';
-                        buffer += actionResult.error||'';
+                        if(actionResult.error) {
+                            buffer += `\n\n**${this.labels.ACTION_ERROR}** ${actionResult.error}`;
+                            this.showNotification(this.labels.ACTION_ERROR, actionResult.error, 'error');
+                        }
+                        this.streamBuffer = buffer;
                         this.lastMessage.link = actionResult.link||'';
-                        console.info('AI Action completed:', fn.name);
                     } catch (e) {
-                        console.warn("Failed to execute Action", result, "Error="+e);
+                        // the arguments of the Action can hold the data of the record, they are not logged
+                        console.warn("Failed to execute Action", result.function_call?.name, "Error="+e);
+                        this.showErrorMessage(e);
                         continue;
                     }
                     this.statusMessage = '';
                     this.scrollToBottom();
                 }
             }
+            if (done) {
+                break;
+            }
         }
         return buffer;
     }
 
+    /**
+     * Adds the Action call and its result to the conversation, before the bubble being answered.
+     * They are not shown, but sent to the AI in the next request
+     */
+    addActionMessages(fn, actionResult) {
+        const callMessage = {
+            timestamp: this.messages.length,
+            role: 'assistant',
+            content: '',
+            function_call: {name: fn.name, arguments: fn.arguments},
+            hidden: true,
+        };
+        const resultMessage = {
+            timestamp: this.messages.length + 1,
+            role: 'function',
+            name: fn.name,
+            content: JSON.stringify({message: actionResult.message, error: actionResult.error, link: actionResult.link}),
+            hidden: true,
+        };
+        this.messages.splice(this.messages.length-1, 0, callMessage, resultMessage);
+        this.pendingActionResults++;
+    }
+
+    /**
+     * Runs an Action requested by the AI. Unless the Action Policy allows it, the request is recorded on the server
+     * first, and only runs once the user confirms it. Returns null when the user declines it
+     */
+    async runAction(className, args) {
+        if(this.actionPolicies[className] === 'allow') {
+            return actionResponseCall({contextId: this.contextId, name: className, args: args});
+        }
+        const requestId = await requestActionConfirmation({contextId: this.contextId, name: className, args: args});
+        if(!await this.confirmAction(className, args)) {
+            await declineAction({requestId});
+            return null;
+        }
+        return runConfirmedAction({requestId});
+    }
+
+    /**
+     * Asks the user before running an Action requested by the AI
+     */
+    async confirmAction(className, args) {
+        const argsText = Object.entries(args||{}).map(([k, v]) => `${k}: ${JSON.stringify(v)}`).join('\n');
+        return LightningConfirm.open({
+            label: this.labels.ACTION_CONFIRM_TITLE,
+            message: `${this.labels.ACTION_CONFIRM_MESSAGE}\n${className}\n\n${argsText}`,
+            theme: 'warning',
+        });
+    }
+
     async authenticate() {
         this.backendAuthToken = await getAuthToken();
     }
 
-    async sendRequest(prompt) {
+    /**
+     * Returns the system prompt followed by the history, in the format sent to the AI,
+     * leaving out the oldest messages if it does not fit in the context budget
+     */
+    buildMessages(history) {
+        // the prompt can override the default assistant message
         let chatGPTmessages = [{
             role: "system",
-            content: "You need to assist the person asking you questions and tasks about Copado. Copado is a Salesforce Devops and Deployment tool, and most of changes in User Stories, Promotions and Deployments are related to Salesforce features and Salesforce metadata."
+            content: systemPrompt(this.selectedQuestionRec?.before)
         }];
+        chatGPTmessages = chatGPTmessages.concat(history.filter((m) => !m.error).map((m) => {
+            const message = {
+                content: m.content,
+                role: m.role,
+            };
+            // the attached files go with the question, but are not shown in its bubble
+            if(m.context) { message.content += '\n\n' + m.context; }
+            if(m.name) { message.name = m.name; }
+            if(m.function_call) { message.function_call = m.function_call; }
+            return message;
+        }));
 
-        // override the default assistant message
-        if(this.selectedQuestionRec?.before) {
-            chatGPTmessages[0].content = this.selectedQuestionRec.before;
-        }
-        chatGPTmessages[0].content += '\nThe reply you give should be in Markdown format.';
-        chatGPTmessages = chatGPTmessages.concat(this.messages.slice(0,-1).map((m) => ({
-            content: m.content,
-            role: m.role,
-        })));
+        const fitted = fitToBudget(chatGPTmessages, this.inputTokenBudget);
+        this.contextTokens = fitted.tokens;
+        this.contextDroppedCount = fitted.droppedCount;
+        return fitted.messages;
+    }
 
-        const body = {
+    buildRequestBody(prompt) {
+        // the last message is the bubble being answered
+        const chatGPTmessages = this.buildMessages(this.messages.slice(0,-1));
+        // the prompt may have been truncated to fit
+        const lastUserMessage = chatGPTmessages.filter((m) => m.role === 'user').pop();
+
+        return {
             "messages": chatGPTmessages,
             "enable_tooling": false,
-            "prompt": prompt,
+            "prompt": lastUserMessage ? lastUserMessage.content : prompt,
             "functions": this.functions,
+            "max_tokens": this.maxTokens,
             "client_version": 'v1'
         }
+    }
+
+    /**
+     * Recalculates the context used by the conversation so far, as it would be sent with the next question
+     */
+    updateContextUsage() {
+        if(this.messages.length) {
+            this.buildMessages(this.messages);
+        }else{
+            this.contextTokens = 0;
+            this.contextDroppedCount = 0;
+        }
+    }
+
+    // the answer has to fit in the context window too
+    get inputTokenBudget() {
+        return Math.max(this.contextTokenBudget - this.maxTokens, Math.floor(this.contextTokenBudget / 2));
+    }
+
+    get hasContextUsage() {
+        return this.contextTokens > 0;
+    }
+
+    get contextUsedPercent() {
+        return Math.min(100, Math.round(100 * this.contextTokens / this.inputTokenBudget));
+    }
+
+    get contextUsedText() {
+        return this.labels.CHAT_CONTEXT_USED
+            .replace('{0}', this.contextUsedPercent)
+            .replace('{1}', this.inputTokenBudget.toLocaleString());
+    }
+
+    // the Copado backend cannot be told to stop, the user is told so before and after stopping
+    get stopButtonTitle() {
+        return this.provider.stopsOnDisconnect ? this.labels.CHAT_STOP_BUTTON_HELP : this.labels.CHAT_STOP_NOT_CANCELLED;
+    }
+
+    get stoppedStatus() {
+        return this.provider.stopsOnDisconnect
+            ? this.labels.CHAT_STOPPED_STATUS
+            : `${this.labels.CHAT_STOPPED_STATUS} ${this.labels.CHAT_STOP_NOT_CANCELLED}`;
+    }
+
+    get contextTruncatedText() {
+        return this.contextDroppedCount ? this.labels.CHAT_CONTEXT_TRUNCATED.replace('{0}', this.contextDroppedCount) : '';
+    }
+
+    async sendRequest(prompt) {
+        let body = {};
         let response = {};
+        this.abortController = new AbortController();
+        this.streamBuffer = '';
+        this.isStreaming = true;
         try{
             this.statusMessage = '...';
-            let attempts=8;
-            while( attempts-- ) {
+            let content = '';
+            let steps = 0;
+            // when the AI calls Actions, their results are sent back so it can continue, up to MAX_ACTION_STEPS times
+            do {
+                this.pendingActionResults = 0;
+                body = this.buildRequestBody(prompt);
                 // eslint-disable-next-line no-await-in-loop
                 if(!this.backendAuthToken) { await this.authenticate(); }
 
                 // eslint-disable-next-line no-await-in-loop
-                response = await fetch(this.backendUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.backendAuthToken}`,
-                        'userId': this.userId,
-                        'orgId': this.orgId,
-                        'sessionId': this.conversationSessionId
+                response = await fetchFromProvider(() => this.provider.buildRequest(body, {
+                    ...this.providerSettings,
+                    url: this.backendUrl,
+                    headers: this.backendHeaders(),
+                }), {
+                    signal: this.abortController.signal,
+                    // the sessions of the Copado backend and the tokens of the proxy expire
+                    onAuthError: () => this.authenticate(),
+                    onRetry: ({ attempt, delay }) => {
+                        this.statusMessage = CHAT_RETRYING.replace('{0}', Math.ceil(delay / 1000))
+                            .replace('{1}', attempt).replace('{2}', MAX_RETRIES);
                     },
-                    body: JSON.stringify(body),
                 });
-                if(response.ok) {
-                    const reader = response.body.getReader();
-                    // eslint-disable-next-line no-await-in-loop
-                    let content = await this.processChunkedResponse(reader);
-                    // save the response so we can keep the chat history
-                    this.lastMessage.content = content;
-                    break;
-                }else if(response.status === 401) {
-                    this.backendAuthToken = null;
-                    continue;
-                }else{
-                    throw new Error(response.statusText || response.status);
+                this.statusMessage = '...';
+                // eslint-disable-next-line no-await-in-loop
+                content = await this.processChunkedResponse(response.body.getReader(), content);
+                // save the response so we can keep the chat history
+                this.lastMessage.content = content;
+                if(content && this.pendingActionResults) {
+                    content += '\n\n';
                 }
-            }
-            if(attempts<=0) {
-                // could not authenticate
-                throw new Error(response.statusText || response.status);
-            }
+            } while(this.pendingActionResults && ++steps < MAX_ACTION_STEPS);
+
+            await this.persistConversation();
         }catch(e) {
+            if(e?.name === 'AbortError') {
+                // stopped by the user: keep whatever was already answered
+                this.lastMessage.content = this.streamBuffer;
+                this.statusMessage = this.stoppedStatus;
+                await this.persistConversation();
+                return;
+            }
             // note: convert the e to string by concatenating. LWC proxies the object
-            console.error(`${this.labels.ERROR_BACKEND} ${this.backendUrl}`, e);
-            this.showErrorMessage(`${this.labels.ERROR_BACKEND} ${this.backendUrl}: ${e?.body?.message||e}`, '');
-            this.messages.pop();
+            console.error(`${this.labels.ERROR_BACKEND} ${this.backendUrl}`, ''+e, e);
             console.warn('The body of the request was:', JSON.stringify(body, null, 4));
+            // the bubble stays, with whatever was answered, the error and a button to retry (see handleRetry)
+            this.lastMessage.content = this.streamBuffer;
+            this.lastMessage.error = backendErrorMessage(e);
+            this.statusMessage = this.lastMessage.error;
         }finally{
             this.isLoading = false;
+            this.isStreaming = false;
+            this.abortController = null;
             this.lastMessage.islast = false;
+            this.updateContextUsage();
             this.rerenderMarkdownMessages();
         }
     }
 
+    backendHeaders() {
+        return copadoHeaders({userId: this.userId, orgId: this.orgId}, this.backendAuthToken, this.conversationSessionId);
+    }
+
+    handleStop() {
+        if(!this.abortController) {
+            return;
+        }
+        // aborting the request closes the connection: the proxy of the providers then stops the generation of the answer,
+        // the Copado backend may still finish it (see stopsOnDisconnect)
+        this.abortController.abort();
+    }
+
     async handleSubmit() {
         if(!this.userMessage) {
             return
         }
         try {
             const msg = this.userMessage
-            this.addMessage(msg, true, false);
-
             this.template.host.style.setProperty('--textareHeight', '0.5rem');
             this.userMessage = '';
             this.isLoading = true;
-            this.scrollToBottom();
 
             this.textAreaElt.value = '';
             this.textAreaElt.placeholder = this.labels.TEXTAREA_PLACEHOLDER;
 
-            // add a bubble, where the message will be written
-            this.addMessage('', false, false);
-            this.lastMessage = this.messages[this.messages.length-1];
-            this.lastMessage.islast = true;
-
-            // detach the request so the UI can rerender
-            // eslint-disable-next-line @lwc/lwc/no-async-operation
-            window.setTimeout( async () => { await this.sendRequest(msg) }, 10);
+            const attachments = await this.readAttachments(msg);
+            this.addMessage(msg, true, false);
+            Object.assign(this.messages[this.messages.length-1], attachments);
+            this.answer(msg);
         } catch(err) {
+            this.isLoading = false;
             this.showErrorMessage(err, '');
         } finally {
             this.scrollToBottom();
         }
     }
 
+    /**
+     * Adds a bubble after the last question, where the answer will be written, and asks the AI
+     */
+    answer(prompt) {
+        this.templateErrors = [];
+        this.isLoading = true;
+
+        this.addMessage('', false, false);
+        this.lastMessage = this.messages[this.messages.length-1];
+        this.lastMessage.islast = true;
+        this.scrollToBottom();
+
+        // detach the request so the UI can rerender
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        window.setTimeout( async () => { await this.sendRequest(prompt) }, 10);
+    }
+
     initializePromptsAndObject() {
-        getAvailableQuestionsFor({ contextId: this.contextId })
+        return getAvailableQuestionsFor({ contextId: this.contextId })
         .then((result) => {
             this.isLoading = false;
             console.debug('initializePromptsAndObject', this.contextId, result);
@@ -315,6 +707,10 @@ export default class AiCompanionStreaming extends LightningElement {
             this.availableQuestionMapByLabel = Object.fromEntries(result.prompts.map(x => [x.label, x]));
             this.hasAvailableQuestions = this.availableQuestions.length > 0;
             this.backendUrl = result.backendUrl;
+            this.provider = getProvider(result.provider);
+            this.contextTokenBudget = result.contextTokenBudget || DEFAULT_CONTEXT_TOKEN_BUDGET;
+            this.maxTokens = result.maxTokens || DEFAULT_MAX_TOKENS;
+            this.providerSettings = {model: result.model, temperature: result.temperature, maxTokens: this.maxTokens};
             this.userId = result.userId;
             this.orgId = result.orgId;
             this.userName = result.userName;
@@ -329,6 +725,7 @@ export default class AiCompanionStreaming extends LightningElement {
             }
 
             this.fuctionsClassMap = {};
+            this.actionPolicies = result.actionPolicies || {};
             this.functions = [];
             this.functionExamples = [];
             if(result.actions && Object.keys(result.actions).length) {
@@ -353,7 +750,7 @@ export default class AiCompanionStreaming extends LightningElement {
     }
 
     scrollToBottom() {
-        const scrollArea = this.template.querySelector('lightning-textarea');
+        const scrollArea = this.template.querySelector('lightning-textarea[data-id="message"]');
         scrollArea.scrollIntoView({ block: "end" });
         //scrollArea.scrollTop = scrollArea.scrollHeight;
         //scrollArea.scrollIntoView();
@@ -363,6 +760,154 @@ export default class AiCompanionStreaming extends LightningElement {
         return this.messages.length > 0;
     }
 
+    get visibleMessages() {
+        const visible = this.messages.filter((m) => !m.hidden);
+        const last = visible[visible.length-1];
+        return visible.map((m) => {
+            if(!m.isAssistant) {
+                return {...m, canEdit: !this.isLoading};
+            }
+            // the alternative answers of a question, see handleRegenerate()
+            const question = this.questionOf(m);
+            const branches = question?.branches || [];
+            const branchIndex = question?.branchIndex || 0;
+            return {
+                ...m,
+                canRegenerate: m === last && !m.error && !this.isLoading,
+                canRetry: m === last && m.error && !this.isLoading,
+                hasBranches: branches.length > 1,
+                branchText: this.labels.CHAT_ANSWER_POSITION.replace('{0}', branchIndex + 1).replace('{1}', branches.length),
+                isFirstBranch: branchIndex === 0 || this.isLoading,
+                isLastBranch: branchIndex === branches.length - 1 || this.isLoading,
+            };
+        });
+    }
+
+    /**
+     * The question (user message) that an answer replies to
+     */
+    questionOf(message) {
+        const index = this.messages.indexOf(message);
+        return this.messages.slice(0, index).reverse().find((m) => m.role === 'user' && !m.hidden);
+    }
+
+    /**
+     * Asks the same question again. The previous answer is kept as an alternative: each question has a list of
+     * branches, the messages that followed it (answers, Actions and the rest of the conversation), and the current one
+     */
+    handleRegenerate() {
+        const question = this.questionOf(this.lastMessage);
+        if(!question || this.isLoading) {
+            return;
+        }
+        const questionIndex = this.messages.indexOf(question);
+        this.saveBranch(question);
+        question.branches.push([]);
+        question.branchIndex = question.branches.length - 1;
+        this.messages = this.messages.slice(0, questionIndex + 1);
+        this.answer(question.content);
+    }
+
+    /**
+     * Asks again the question of an answer that failed, in the same bubble
+     */
+    handleRetry() {
+        const failed = this.lastMessage;
+        const question = this.questionOf(failed);
+        if(!failed?.error || !question || this.isLoading) {
+            return;
+        }
+        // the Actions already run before the failure stay in the conversation
+        this.messages = this.messages.filter((m) => m !== failed);
+        this.answer(question.content);
+    }
+
+    /**
+     * Shows the previous or next alternative answer, with the conversation that followed it
+     */
+    handleSwitchBranch(event) {
+        const answer = this.findVisibleMessage(event.currentTarget.dataset.timestamp);
+        const question = answer && this.questionOf(answer);
+        const branchIndex = (question?.branchIndex || 0) + Number(event.currentTarget.dataset.direction);
+        if(!question?.branches?.[branchIndex] || this.isLoading) {
+            return;
+        }
+        this.saveBranch(question);
+        question.branchIndex = branchIndex;
+        this.messages = this.messages.slice(0, this.messages.indexOf(question) + 1).concat(question.branches[branchIndex]);
+        this.lastMessage = this.messages[this.messages.length-1];
+        this.updateContextUsage();
+        // the saved conversation is the branch that is shown
+        this.persistConversation();
+    }
+
+    // keeps the messages that follow the question as its current branch
+    saveBranch(question) {
+        const tail = this.messages.slice(this.messages.indexOf(question) + 1);
+        if(!question.branches) {
+            question.branches = [tail];
+            question.branchIndex = 0;
+        }else{
+            question.branches[question.branchIndex] = tail;
+        }
+    }
+
+    /**
+     * Replaces a message with a copy that has the changes. The messages are not tracked deeply,
+     * changing a message in place is not rendered until something else is. Returns the copy
+     */
+    updateMessage(message, changes) {
+        if(!message) {
+            // e.g. the conversation was cleared meanwhile
+            return message;
+        }
+        const updated = {...message, ...changes};
+        this.messages = this.messages.map((m) => m === message ?updated :m);
+        if(this.lastMessage === message) {
+            this.lastMessage = updated;
+        }
+        return updated;
+    }
+
+    handleEditMessage(event) {
+        const message = this.findVisibleMessage(event.currentTarget.dataset.timestamp);
+        if(message) {
+            this.updateMessage(message, { isEditing: true, editedContent: message.content });
+        }
+    }
+
+    handleEditChange(event) {
+        const message = this.findVisibleMessage(event.target.dataset.timestamp);
+        if(message) {
+            this.updateMessage(message, { editedContent: event.target.value });
+        }
+    }
+
+    handleEditCancel(event) {
+        const message = this.findVisibleMessage(event.target.dataset.timestamp);
+        if(message) {
+            this.updateMessage(message, { isEditing: false });
+        }
+    }
+
+    /**
+     * Sends an edited question again, the conversation after it is discarded
+     */
+    handleEditResend(event) {
+        const message = this.findVisibleMessage(event.target.dataset.timestamp);
+        const content = message?.editedContent?.trim();
+        if(!content || this.isLoading) {
+            return;
+        }
+        this.messages = this.messages.slice(0, this.messages.indexOf(message));
+        this.addMessage(content, true, false);
+        // the files attached to the question are still attached
+        if(message.context) {
+            Object.assign(this.messages[this.messages.length-1], { context: message.context, attachments: message.attachments });
+        }
+        this.answer(content);
+    }
+
     handleUserMesssage(event){
         this.userMessage = event.target.value;
     }
@@ -372,14 +917,20 @@ export default class AiCompanionStreaming extends LightningElement {
         this.selectedQuestionRec = undefined;
         this.userMessage = '';
         this.statusMessage = '';
+        this.templateErrors = [];
         this.messages = [];
-        const textArea = this.template.querySelector("lightning-textarea");
+        this.selectedFileIds = [];
+        this.updateContextUsage();
+        // a new conversation starts, the previous one remains saved in the history
+        this.conversationSessionId = this.newSessionId();
+        const textArea = this.template.querySelector('lightning-textarea[data-id="message"]');
         if(textArea) {
             textArea.value = "";
             textArea.placeholder = this.labels.CHAT_ASK_OPENAI_PLACEHOLDER;
         }
         // re-read the context id, in case the user navigated to another record
         this.initializePromptsAndObject();
+        this.loadConversations();
         if(!this.hideFullScreen) {
             // if it is the global actions window, set the textare big
             this.template.host.style.setProperty('--textareHeight', '');
@@ -389,21 +940,31 @@ export default class AiCompanionStreaming extends LightningElement {
     async handleSelectQuestion(event) {
         this.selectedQuestion = event.detail.value;
         this.selectedQuestionRec = this.availableQuestionMapByLabel[this.selectedQuestion];
+        this.templateErrors = [];
 
-        processQuestion({
-            contextId: this.contextId,
-            questionRec: this.selectedQuestionRec
-        }).then((result) => {
+        try {
+            // the {{template}} is rendered first, then the server replaces the legacy {keywords}
+            const rendered = await renderPromptTemplates(this.contextId, this.selectedQuestionRec);
+            this.templateErrors = rendered.errors;
+            const result = await processQuestion({
+                contextId: this.contextId,
+                questionRec: rendered.questionRec
+            });
             console.debug('processQuestion', result);
-            this.selectedQuestionRec = result;
+            this.selectedQuestionRec = {...this.selectedQuestionRec, ...result};
+            // the user sees (and can fix) the resulting prompt before sending it
             this.userMessage = result.prompt;
-            const textArea = this.template.querySelector('lightning-textarea');
+            const textArea = this.template.querySelector('lightning-textarea[data-id="message"]');
             textArea.value = result.prompt;
             textArea.focus();
-        }).catch((err) => {
+        } catch(err) {
             this.showErrorMessage(err, 'There was an error(1)');
             this.isLoading=false;
-        });
+        }
+    }
+
+    get hasTemplateErrors() {
+        return this.templateErrors.length > 0;
     }
 
     handleAction(event) {
@@ -425,6 +986,117 @@ export default class AiCompanionStreaming extends LightningElement {
         });
     }
 
+    newSessionId() {
+        return (Math.random() + 1).toString(36);
+    }
+
+    async persistConversation() {
+        if(!this.contextId) {
+            return;
+        }
+        try{
+            await saveConversation({
+                contextId: this.contextId,
+                sessionId: this.conversationSessionId,
+                promptName: this.selectedQuestionRec?.name,
+                messages: JSON.stringify(this.messages.filter((m) => !m.error).map((m) => ({
+                    role: m.role,
+                    content: m.content,
+                    link: m.link,
+                    name: m.name,
+                    function_call: m.function_call,
+                })))
+            });
+            this.loadConversations();
+        }catch(e) {
+            // the answer is already on screen, a failure to save it should not break the conversation
+            console.warn(this.labels.CHAT_HISTORY_SAVE_ERROR, e);
+            this.showNotification(this.labels.CHAT_HISTORY_SAVE_ERROR, e?.body?.message||''+e, 'warning');
+        }
+    }
+
+    loadConversations() {
+        if(!this.contextId) {
+            this.conversations = [];
+            return;
+        }
+        listConversations({ contextId: this.contextId })
+        .then((result) => {
+            this.conversations = result.map((c) => ({
+                ...c,
+                isCurrent: c.sessionId === this.conversationSessionId,
+                itemClass: c.sessionId === this.conversationSessionId ?'historyItem current' :'historyItem',
+            }));
+        })
+        .catch((err) => {
+            console.warn('loadConversations', err);
+            this.conversations = [];
+        });
+    }
+
+    get isExportDisabled() {
+        return this.isLoading || !this.hasMessages;
+    }
+
+    get hasConversations() {
+        return this.conversations.length > 0;
+    }
+
+    handleToggleHistory() {
+        this.showHistory = !this.showHistory;
+        if(this.showHistory) {
+            this.loadConversations();
+        }
+    }
+
+    async handleResumeConversation(event) {
+        const conversationId = event.currentTarget.dataset.id;
+        try{
+            const conversation = await getConversation({ conversationId });
+            this.loadMessages(conversation);
+            this.template.host.style.setProperty('--textareHeight', '0.5rem');
+            this.loadConversations();
+        }catch(err) {
+            this.showErrorMessage(err);
+        }
+    }
+
+    /**
+     * Shows the messages of a saved or handed off conversation ({messages, sessionId, promptName}) to continue it
+     */
+    loadMessages(conversation) {
+        const messages = JSON.parse(conversation.messages || '[]');
+        this.messages = [];
+        for(let m of messages) {
+            if(m.role === 'function' || m.function_call) {
+                // Action calls and results are part of the conversation, but not shown
+                this.messages.push({...m, timestamp: this.messages.length, content: m.content||'', hidden: true});
+                continue;
+            }
+            this.addMessage(m.content||'', m.role === 'user', false);
+            if(m.link) {
+                this.messages[this.messages.length-1].link = m.link;
+            }
+        }
+        this.lastMessage = this.messages[this.messages.length-1] || {};
+        this.updateContextUsage();
+        // continuing with the same session id keeps saving into the same conversation
+        this.conversationSessionId = conversation.sessionId;
+        this.selectedQuestionRec = Object.values(this.availableQuestionMapByLabel).find((q) => q.name === conversation.promptName);
+        this.statusMessage = '';
+    }
+
+    async handleDeleteConversation(event) {
+        event.stopPropagation();
+        const conversationId = event.currentTarget.dataset.id;
+        try{
+            await deleteConversation({ conversationId });
+            this.loadConversations();
+        }catch(err) {
+            this.showErrorMessage(err);
+        }
+    }
+
     showErrorMessage(err) {
         console.error(err);
         let userError = err.body
@@ -444,9 +1116,12 @@ export default class AiCompanionStreaming extends LightningElement {
     }
 
     handleCopy(event) {
+        const contentToCopyElt = event.target.closest(".bubble").querySelector(".contentToCopy");
+        return this.copyToClipboard(contentToCopyElt.innerText);
+    }
+
+    copyToClipboard(text) {
         try{
-            const contentToCopyElt = event.target.closest(".bubble").querySelector(".contentToCopy");
-            const text = contentToCopyElt.innerText;
             if (navigator.clipboard && window.isSecureContext) {
                 this.showNotification(labelSuccess, suggestionCopied, 'success');
                 return navigator.clipboard.writeText(text);
@@ -472,51 +1147,390 @@ export default class AiCompanionStreaming extends LightningElement {
         return null;
     }
 
-    handleOpenTab() {
-        const NS = this.namespace ? `${this.namespace}/` : '';
-        const url = `/flow/${NS}Copado_DevOps_AI_Companion?recordId=${this.contextId}&j=${encodeURIComponent(JSON.stringify(this.messages))}`;
-        window.open(url, "_blank");
+    /**
+     * Clicks on the buttons of the code blocks, which are not part of the template (see codeBlocks.js in aiCompanionClient)
+     */
+    handleCodeAction(event) {
+        const block = getCodeBlock(event.target);
+        if(!block) {
+            return;
+        }
+        if(block.action === CODE_ACTION_COPY) {
+            this.copyToClipboard(block.code);
+        }else if(block.action === CODE_ACTION_DOWNLOAD) {
+            downloadCodeBlock(block.code, block.language);
+        }else if(block.action === CODE_ACTION_INSERT) {
+            this.startInsertCode(block.code);
+        }
     }
 
-    extractRecordIdFromUrl(isCalledFromRenderedCallback) {
-        let recordId = null;
+    async startInsertCode(code) {
         try{
-            // complex way to parse several url types and extract a relevant ID
-            // only used in Deployment and similar Pages
-            let t = window.location.href;
-            let m = /\/one\/one.app#(.*)/i.exec(t);
-            if(m) {
-                try{
-                    t = m[1];
-                    t = decodeURIComponent(t);
-                    t = atob(t);
-                    t = JSON.parse(t);
-                    t = t.attributes.address;
-                }catch(e) {
-                    console.error('Error while decoding one.app urls', e, t);
-                }
+            const fields = await getTextFields({ contextId: this.contextId });
+            if(!fields.length) {
+                this.showNotification(CODE_BLOCK_INSERT, CODE_BLOCK_NO_FIELDS, 'warning');
+                return;
             }
-            m = /[a-z0-9_]+__c\/([a-z0-9]{18})/i.exec(t);
-            if(m) {
-                recordId = m[1];
-            }else{
-                m = /[?&](?:record)?id=([a-z0-9]{15,18})/i.exec(t);
-                if(m) {
-                    recordId = m[1];
-                }
+            this.codeToInsert = {
+                code,
+                fields: fields.map((f) => ({ label: f.label, value: f.name })),
+                field: fields[0].name,
+                replace: false,
+            };
+        }catch(err) {
+            this.showErrorMessage(err, '');
+        }
+    }
+
+    handleInsertFieldChange(event) {
+        this.codeToInsert = { ...this.codeToInsert, field: event.detail.value };
+    }
+
+    handleInsertReplaceChange(event) {
+        this.codeToInsert = { ...this.codeToInsert, replace: event.target.checked };
+    }
+
+    handleInsertCancel() {
+        this.codeToInsert = null;
+    }
+
+    async handleInsertConfirm() {
+        this.isInsertingCode = true;
+        try{
+            const result = await insertIntoField({
+                contextId: this.contextId,
+                fieldName: this.codeToInsert.field,
+                text: this.codeToInsert.code,
+                replace: this.codeToInsert.replace,
+            });
+            this.codeToInsert = null;
+            this.showNotification(labelSuccess, CODE_BLOCK_INSERTED.replace('{0}', result.label), 'success');
+            // so the record page shows the new value
+            notifyRecordUpdateAvailable([{ recordId: this.contextId }]);
+        }catch(err) {
+            this.showErrorMessage(err, '');
+        }finally{
+            this.isInsertingCode = false;
+        }
+    }
+
+    /**
+     * Thumbs up or down on an answer. It is saved right away, and the user can add a comment afterwards
+     */
+    async handleFeedback(event) {
+        const message = this.findVisibleMessage(event.currentTarget.dataset.timestamp);
+        const rating = FEEDBACK_RATINGS[event.currentTarget.dataset.rating];
+        if(!message || !rating) {
+            return;
+        }
+        await this.persistFeedback(this.updateMessage(message, {
+            rating,
+            isHelpful: rating === FEEDBACK_RATINGS.up,
+            isNotHelpful: rating === FEEDBACK_RATINGS.down,
+            isCommenting: true,
+        }));
+    }
+
+    handleFeedbackCommentChange(event) {
+        const message = this.findVisibleMessage(event.target.dataset.timestamp);
+        if(message) {
+            this.updateMessage(message, { feedbackComment: event.target.value });
+        }
+    }
+
+    async handleFeedbackSend(event) {
+        const message = this.findVisibleMessage(event.target.dataset.timestamp);
+        if(message && await this.persistFeedback(message)) {
+            this.updateMessage(this.findVisibleMessage(String(message.timestamp)), { isCommenting: false });
+            this.showNotification(labelSuccess, FEEDBACK_THANKS, 'success');
+        }
+    }
+
+    handleFeedbackClose(event) {
+        const message = this.findVisibleMessage(event.target.dataset.timestamp);
+        if(message) {
+            this.updateMessage(message, { isCommenting: false });
+        }
+    }
+
+    /**
+     * Saves the rating and comment of an answer, with the question it answered. Returns if it was saved
+     */
+    async persistFeedback(message) {
+        const messageIndex = this.messages.indexOf(message);
+        const question = this.messages.slice(0, messageIndex).reverse().find((m) => m.role === 'user' && !m.hidden);
+        try{
+            const result = await saveFeedback({
+                feedbackId: message.feedbackId,
+                contextId: this.contextId,
+                sessionId: this.conversationSessionId,
+                promptName: this.selectedQuestionRec?.name,
+                messageIndex,
+                rating: message.rating,
+                comment: message.feedbackComment,
+                question: question?.content,
+                answer: message.content,
+            });
+            // the message may have been replaced while it was saved
+            this.updateMessage(this.findVisibleMessage(String(message.timestamp)), { feedbackId: result.id });
+            return true;
+        }catch(e) {
+            // as with the conversation, a failure to save it should not break the conversation
+            console.warn(this.labels.FEEDBACK_SAVE_ERROR, e);
+            this.showNotification(this.labels.FEEDBACK_SAVE_ERROR, e?.body?.message||''+e, 'warning');
+            return false;
+        }
+    }
+
+    findVisibleMessage(timestamp) {
+        return this.messages.find((m) => !m.hidden && String(m.timestamp) === timestamp);
+    }
+
+    handleToggleFiles() {
+        this.showFiles = !this.showFiles;
+        if(this.showFiles) {
+            this.loadFiles();
+        }
+    }
+
+    async loadFiles() {
+        try{
+            this.files = this.contextId ?await listFiles({ contextId: this.contextId }) :[];
+        }catch(err) {
+            this.files = [];
+            this.showErrorMessage(err);
+        }
+    }
+
+    get hasFiles() {
+        return this.files.length > 0;
+    }
+
+    // files too big to be read are not listed
+    get fileOptions() {
+        return this.files.filter((f) => !f.isTooBig).map((f) => ({
+            label: `${f.title} (${Math.ceil(f.size / 1024).toLocaleString()} KB)`,
+            value: f.id,
+        }));
+    }
+
+    get attachedFiles() {
+        return this.files.filter((f) => this.selectedFileIds.includes(f.id)).map((f) => ({ id: f.id, label: f.title }));
+    }
+
+    get hasAttachedFiles() {
+        return this.selectedFileIds.length > 0;
+    }
+
+    handleFilesChange(event) {
+        this.selectedFileIds = event.detail.value;
+    }
+
+    handleRemoveAttachment(event) {
+        this.selectedFileIds = this.selectedFileIds.filter((id) => id !== event.target.dataset.id);
+    }
+
+    /**
+     * Reads the files attached to the question, and fits them in the part of the context they can take.
+     * Returns the properties of the question message: {context, attachments}, the latter being the titles shown
+     */
+    async readAttachments(question) {
+        if(!this.selectedFileIds.length) {
+            return {};
+        }
+        const files = await getFileContents({ contextId: this.contextId, documentIds: this.selectedFileIds });
+        this.selectedFileIds = [];
+        this.showFiles = false;
+        return {
+            context: formatAttachments(files, attachmentsBudget(this.inputTokenBudget, question)),
+            attachments: files.map((f) => f.title).join(', '),
+        };
+    }
+
+    /**
+     * Exports the whole conversation as a file, or keeps it with the record as a note or a Chatter post
+     */
+    async handleExport(event) {
+        const format = event.detail.value;
+        const title = conversationTitle(this.messages);
+        try{
+            if(format === EXPORT_MARKDOWN) {
+                downloadText(exportFileName(title) + '.md', conversationToMarkdown(this.messages, title), 'text/markdown');
+            }else if(format === EXPORT_HTML) {
+                downloadText(exportFileName(title) + '.html', conversationToHtml(this.messages, title), 'text/html');
+            }else if(format === EXPORT_NOTE) {
+                const note = await saveAsNote({
+                    contextId: this.contextId,
+                    title,
+                    content: conversationToRichText(this.messages, title),
+                });
+                this.showNotification(labelSuccess, CHAT_EXPORT_NOTE_SAVED.replace('{0}', note.title), 'success');
+            }else if(format === EXPORT_CHATTER) {
+                await postToChatter({
+                    contextId: this.contextId,
+                    body: conversationToRichText(this.messages, title, CHATTER_MAX_LENGTH),
+                });
+                this.showNotification(labelSuccess, CHAT_EXPORT_CHATTER_POSTED, 'success');
             }
-            if(isCalledFromRenderedCallback) {
-                let params = (new URL(document.location)).searchParams;
-                if(params.get("j")) {
-                    // eslint-disable-next-line @lwc/lwc/no-api-reassignments
-                    this.hideFullScreen = true;
-                    this.messages = JSON.parse(params.get("j"));
-                }
+        }catch(err) {
+            this.showErrorMessage(err);
+        }
+    }
+
+    /**
+     * Continues the conversation in a new tab. The messages are stored in a short-lived handoff record,
+     * only its token goes in the URL (see loadHandoff)
+     */
+    async handleOpenTab() {
+        // NOTE: opened before the server call, or the browser may block it as a popup
+        const tab = window.open('', '_blank');
+        try{
+            const token = await createHandoff({
+                contextId: this.contextId,
+                sessionId: this.conversationSessionId,
+                promptName: this.selectedQuestionRec?.name,
+                messages: JSON.stringify(this.messages)
+            });
+            const NS = this.namespace ? `${this.namespace}/` : '';
+            tab.location.href = `/flow/${NS}Copado_DevOps_AI_Companion?recordId=${this.contextId}&h=${encodeURIComponent(token)}`;
+        }catch(err) {
+            tab?.close();
+            this.showErrorMessage(err);
+        }
+    }
+
+    async loadHandoff(token) {
+        try{
+            this.loadMessages(await redeemHandoff({ token }));
+            this.loadConversations();
+        }catch(err) {
+            this.showErrorMessage(err);
+        }
+    }
+
+    readHandoffToken() {
+        const token = new URL(document.location.href).searchParams.get('h');
+        if(token) {
+            // eslint-disable-next-line @lwc/lwc/no-api-reassignments
+            this.hideFullScreen = true;
+            this.handoffToken = token;
+        }
+    }
+
+    /**
+     * Finds the record of the page (see recordContext.js). In console apps, the focused tab is asked for it afterwards
+     */
+    detectContext() {
+        // the record given by a Flow screen wins over the one of the page, it is kept before contextId is overwritten
+        if(this.explicitContextId === undefined) {
+            this.explicitContextId = this.contextId || null;
+        }
+        const resolve = (consoleTab) => resolveRecordContext({
+            recordId: this.explicitContextId,
+            pageReference: this.pageReference,
+            consoleTab,
+            url: window.location.href,
+        });
+        this.applyContext(resolve());
+        if(!this.isConsoleNavigation) {
+            return;
+        }
+        getFocusedTabInfo()
+        .then((tab) => {
+            const context = resolve(tab);
+            // only if nothing changed in the meantime
+            if(context.recordId !== this.contextId && this.contextSource !== SOURCE_MANUAL && !this.hasMessages) {
+                this.applyContext(context);
+                this.handleClear();
             }
-            console.debug('extractRecordIdFromUrl', t, recordId);
-        }catch(e) {
-            console.error(e);
+        })
+        .catch((err) => console.warn('getFocusedTabInfo', err));
+    }
+
+    applyContext({ recordId, source }) {
+        // eslint-disable-next-line @lwc/lwc/no-api-reassignments
+        this.contextId = recordId;
+        this.contextSource = source;
+        this.contextRecord = undefined;
+        if(!recordId) {
+            return;
+        }
+        describeRecord({ recordId })
+        .then((result) => {
+            if(recordId === this.contextId) {
+                this.contextRecord = result;
+            }
+        })
+        .catch((err) => console.warn('describeRecord', err));
+    }
+
+    get contextDescription() {
+        if(!this.contextId) {
+            return this.labels.CHAT_RECORD_NONE;
+        }
+        if(!this.contextRecord) {
+            return this.contextId;
         }
-        return recordId;
+        return this.contextRecord.isAllowed
+            ? `${this.contextRecord.objectLabel}: ${this.contextRecord.name || this.contextId}`
+            : CHAT_RECORD_NOT_ALLOWED.replace('{0}', this.contextRecord.objectLabel);
+    }
+
+    get isContextManual() {
+        return this.contextSource === SOURCE_MANUAL;
+    }
+
+    get hasRecordSearchResults() {
+        return this.recordSearchResults.length > 0;
+    }
+
+    handleToggleRecordPicker() {
+        this.showRecordPicker = !this.showRecordPicker;
+        this.recordSearchTerm = '';
+        this.recordSearchResults = [];
+    }
+
+    handleRecordSearch(event) {
+        this.recordSearchTerm = event.target.value;
+        window.clearTimeout(this.recordSearchTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.recordSearchTimeout = window.setTimeout(() => {
+            const searchTerm = this.recordSearchTerm;
+            searchRecords({ searchTerm })
+            .then((result) => {
+                if(searchTerm === this.recordSearchTerm) {
+                    this.recordSearchResults = result.map((r) => ({...r, label: `${r.objectLabel}: ${r.name}`}));
+                }
+            })
+            .catch((err) => this.showErrorMessage(err));
+        }, RECORD_SEARCH_DELAY);
+    }
+
+    handleSelectRecord(event) {
+        this.switchContext({ recordId: event.currentTarget.dataset.id || null, source: SOURCE_MANUAL });
+    }
+
+    handleUseDetectedRecord() {
+        const previous = this.contextId;
+        this.contextSource = null;
+        this.detectContext();
+        if(this.contextId !== previous) {
+            this.switchContext({ recordId: this.contextId, source: this.contextSource });
+        }
+        this.showRecordPicker = false;
+    }
+
+    /**
+     * Talks about another record: its prompts, Actions, files and saved conversations
+     */
+    switchContext(context) {
+        this.applyContext(context);
+        this.showRecordPicker = false;
+        this.files = [];
+        this.selectedFileIds = [];
+        // the conversation is saved with its record, continuing it on another one starts a new one
+        this.conversationSessionId = this.newSessionId();
+        this.initializePromptsAndObject();
+        this.loadConversations();
     }
-}
\ No newline at end of file
+}
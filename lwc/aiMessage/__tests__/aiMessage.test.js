@@ -0,0 +1,51 @@
+import { createElement } from 'lwc';
+import AiMessage from 'c/aiMessage';
+import saveFeedback from '@salesforce/apex/AiCompanionFeedbackService.saveFeedback';
+
+jest.mock('@salesforce/apex/AiCompanionFeedbackService.saveFeedback', () => ({ default: jest.fn() }), { virtual: true });
+
+function createMessage(props) {
+    const element = createElement('c-ai-message', { is: AiMessage });
+    Object.assign(element, { role: 'assistant', content: 'Add the missing field', ...props });
+    document.body.appendChild(element);
+    return element;
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('c-ai-message', () => {
+    afterEach(() => {
+        while(document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('saves the rating, then the comment, of the answer', async () => {
+        saveFeedback.mockResolvedValue({ id: 'a0F000000000001' });
+        const element = createMessage({ sessionId: 's1', contextId: 'a0A000000000001', promptName: 'Explain_Errors', messageIndex: 2, question: 'Why?' });
+
+        element.shadowRoot.querySelector('[data-rating="down"]').click();
+        await flush();
+
+        expect(saveFeedback).toHaveBeenCalledWith(expect.objectContaining({
+            feedbackId: undefined, sessionId: 's1', contextId: 'a0A000000000001', promptName: 'Explain_Errors',
+            messageIndex: 2, rating: 'Not Helpful', question: 'Why?', answer: 'Add the missing field',
+        }));
+        expect(element.shadowRoot.querySelector('[data-rating="down"]').selected).toBe(true);
+
+        const comment = element.shadowRoot.querySelector('lightning-textarea');
+        comment.value = 'The field exists';
+        comment.dispatchEvent(new CustomEvent('change'));
+        element.shadowRoot.querySelector('.feedbackCommentActions lightning-button:last-child').click();
+        await flush();
+
+        expect(saveFeedback).toHaveBeenLastCalledWith(expect.objectContaining({ feedbackId: 'a0F000000000001', comment: 'The field exists' }));
+        expect(element.shadowRoot.querySelector('lightning-textarea')).toBeNull();
+    });
+
+    it('can only rate the answers of a conversation', () => {
+        expect(createMessage({}).shadowRoot.querySelector('[data-rating]')).toBeNull();
+        expect(createMessage({ role: 'user', sessionId: 's1', messageIndex: 1 }).shadowRoot.querySelector('[data-rating]')).toBeNull();
+    });
+});
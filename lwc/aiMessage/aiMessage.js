@@ -2,9 +2,20 @@ import { LightningElement, api } from 'lwc';
 import systemRoleLabel from '@salesforce/label/c.OPENAI_ROLE';
 import suggestionCopied from '@salesforce/label/c.SUGGESTION_COPIED';
 import labelSuccess from '@salesforce/label/c.SUCCESS';
+import FEEDBACK_HELPFUL from '@salesforce/label/c.FEEDBACK_HELPFUL';
+import FEEDBACK_NOT_HELPFUL from '@salesforce/label/c.FEEDBACK_NOT_HELPFUL';
+import FEEDBACK_COMMENT_LABEL from '@salesforce/label/c.FEEDBACK_COMMENT_LABEL';
+import FEEDBACK_COMMENT_PLACEHOLDER from '@salesforce/label/c.FEEDBACK_COMMENT_PLACEHOLDER';
+import FEEDBACK_SEND from '@salesforce/label/c.FEEDBACK_SEND';
+import FEEDBACK_CANCEL from '@salesforce/label/c.FEEDBACK_CANCEL';
+import FEEDBACK_THANKS from '@salesforce/label/c.FEEDBACK_THANKS';
+import FEEDBACK_SAVE_ERROR from '@salesforce/label/c.FEEDBACK_SAVE_ERROR';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import saveFeedback from '@salesforce/apex/AiCompanionFeedbackService.saveFeedback';
 
-import { marked } from './markdown';
+import { renderMarkdown } from 'c/aiCompanionClient';
+
+const FEEDBACK_RATINGS = { up: 'Helpful', down: 'Not Helpful' };
 
 export default class AiMessage extends LightningElement {
     @api role;
@@ -13,6 +24,26 @@ export default class AiMessage extends LightningElement {
     @api link;
     @api username;
     @api more;
+    // the answer rated with the thumbs up/down buttons, shown when sessionId and messageIndex are set
+    @api sessionId;
+    @api contextId;
+    @api promptName;
+    @api messageIndex;
+    @api question;
+
+    rating;
+    feedbackId;
+    feedbackComment;
+    isCommenting = false;
+
+    labels = {
+        FEEDBACK_HELPFUL,
+        FEEDBACK_NOT_HELPFUL,
+        FEEDBACK_COMMENT_LABEL,
+        FEEDBACK_COMMENT_PLACEHOLDER,
+        FEEDBACK_SEND,
+        FEEDBACK_CANCEL,
+    };
 
     get sender() {
         return this.role === 'user' ? this.username : systemRoleLabel;
@@ -26,6 +57,18 @@ export default class AiMessage extends LightningElement {
         return this.role !== 'user';
     }
 
+    get canRate() {
+        return !!this.sessionId && this.messageIndex !== undefined && this.messageIndex !== null;
+    }
+
+    get isHelpful() {
+        return this.rating === FEEDBACK_RATINGS.up;
+    }
+
+    get isNotHelpful() {
+        return this.rating === FEEDBACK_RATINGS.down;
+    }
+
     renderedCallback() {
         // re-enable the show-more button if it was disabled when clicking it
         // and re-render the contents (it might have additional information)
@@ -34,7 +77,7 @@ export default class AiMessage extends LightningElement {
 
         if(this.role !== 'user') {
             // eslint-disable-next-line @lwc/lwc/no-inner-html
-            this.template.querySelector('pre').innerHTML = marked()(this.content);
+            this.template.querySelector('pre').innerHTML = renderMarkdown(this.content);
         }else{
             this.template.querySelector('pre').innerText = this.content;
         }
@@ -70,6 +113,59 @@ export default class AiMessage extends LightningElement {
         });
     }
 
+    /**
+     * Thumbs up or down on the answer. It is saved right away, and the user can add a comment afterwards
+     */
+    async handleFeedback(event) {
+        const rating = FEEDBACK_RATINGS[event.currentTarget.dataset.rating];
+        if(!rating) {
+            return;
+        }
+        this.rating = rating;
+        this.isCommenting = true;
+        await this.persistFeedback();
+    }
+
+    handleFeedbackCommentChange(event) {
+        this.feedbackComment = event.target.value;
+    }
+
+    async handleFeedbackSend() {
+        if(await this.persistFeedback()) {
+            this.isCommenting = false;
+            this.showNotification(labelSuccess, FEEDBACK_THANKS, 'success');
+        }
+    }
+
+    handleFeedbackClose() {
+        this.isCommenting = false;
+    }
+
+    /**
+     * Saves the rating and comment of the answer, see AiCompanionFeedbackService. Returns if it was saved
+     */
+    async persistFeedback() {
+        try{
+            const result = await saveFeedback({
+                feedbackId: this.feedbackId,
+                contextId: this.contextId,
+                sessionId: this.sessionId,
+                promptName: this.promptName,
+                messageIndex: this.messageIndex,
+                rating: this.rating,
+                comment: this.feedbackComment,
+                question: this.question,
+                answer: this.content,
+            });
+            this.feedbackId = result.id;
+            return true;
+        }catch(e) {
+            console.warn(FEEDBACK_SAVE_ERROR, e);
+            this.showNotification(FEEDBACK_SAVE_ERROR, e?.body?.message||''+e, 'warning');
+            return false;
+        }
+    }
+
     showNotification(title, message, variant) {
         this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
     }
@@ -0,0 +1,67 @@
+import { fingerprint, diffViolations, DIFF_NEW, DIFF_FIXED, DIFF_UNCHANGED } from '../baseline';
+
+function row(rule, file, line, message, snippet) {
+    const location = { file, startLine: line, ...(snippet ? { snippet } : {}) };
+    return {
+        id: `${rule}-${file}-${line}`,
+        file,
+        line,
+        message,
+        rule,
+        fullViolation: { locations: [location], primaryLocationIndex: 0 }
+    };
+}
+
+describe('fingerprint', () => {
+    it('does not depend on the line', () => {
+        expect(fingerprint(row('ApexDoc', 'classes/A.cls', 3, 'Missing ApexDoc')))
+            .toBe(fingerprint(row('ApexDoc', 'classes/A.cls', 30, 'Missing ApexDoc')));
+    });
+
+    it('normalises the snippet and the numbers of the messages', () => {
+        expect(fingerprint(row('Complexity', 'classes/A.cls', 1, 'has a complexity of 12')))
+            .toBe(fingerprint(row('Complexity', 'classes/A.cls', 1, 'has a complexity of 15')));
+        expect(fingerprint(row('Rule', 'classes/A.cls', 1, 'a', 'Integer  x = 1;')))
+            .toBe(fingerprint(row('Rule', 'classes\\A.cls', 9, 'b', '\tinteger x = 1; ')));
+        expect(fingerprint(row('Rule', 'classes/A.cls', 1, 'a', 'Integer x = 1;')))
+            .not.toBe(fingerprint(row('Rule', 'classes/A.cls', 1, 'a', 'Integer y = 1;')));
+    });
+
+    it('depends on the rule and the file', () => {
+        expect(fingerprint(row('RuleA', 'classes/A.cls', 1, 'm'))).not.toBe(fingerprint(row('RuleB', 'classes/A.cls', 1, 'm')));
+        expect(fingerprint(row('RuleA', 'classes/A.cls', 1, 'm'))).not.toBe(fingerprint(row('RuleA', 'classes/B.cls', 1, 'm')));
+    });
+});
+
+describe('diffViolations', () => {
+    it('splits new, fixed and unchanged violations', () => {
+        const baseline = [
+            row('ApexDoc', 'classes/A.cls', 3, 'Missing ApexDoc'),
+            row('UnusedVariable', 'classes/A.cls', 8, 'x is not used')
+        ];
+        const current = [
+            row('ApexDoc', 'classes/A.cls', 13, 'Missing ApexDoc'),
+            row('ApexCRUDViolation', 'classes/B.cls', 2, 'Validate CRUD')
+        ];
+        const diff = diffViolations(current, baseline);
+        expect(diff[DIFF_NEW].map(r => r.rule)).toEqual(['ApexCRUDViolation']);
+        expect(diff[DIFF_FIXED].map(r => r.rule)).toEqual(['UnusedVariable']);
+        expect(diff[DIFF_UNCHANGED].map(r => r.line)).toEqual([13]);
+    });
+
+    it('matches each baseline violation once', () => {
+        const baseline = [row('ApexDoc', 'classes/A.cls', 3, 'Missing ApexDoc')];
+        const current = [row('ApexDoc', 'classes/A.cls', 3, 'Missing ApexDoc'), row('ApexDoc', 'classes/A.cls', 20, 'Missing ApexDoc')];
+        const diff = diffViolations(current, baseline);
+        expect(diff[DIFF_UNCHANGED].length).toBe(1);
+        expect(diff[DIFF_NEW].map(r => r.line)).toEqual([20]);
+        expect(diff[DIFF_FIXED].length).toBe(0);
+    });
+
+    it('lists a large number of fixed violations', () => {
+        const fixed = row('ApexDoc', 'classes/A.cls', 3, 'Missing ApexDoc');
+        const baseline = new Array(300000).fill(fixed);
+        const diff = diffViolations([], baseline);
+        expect(diff[DIFF_FIXED].length).toBe(baseline.length);
+    });
+});
@@ -0,0 +1,141 @@
+import { TextDecoder } from 'util';
+import { decodeBase64, firstVisibleRow, mapInPages, memoize, parseJson, visiblePage, visibleWindow, RENDER_PAGE_SIZE, ROW_HEIGHT, WINDOW_ROWS } from '../largeResults';
+
+// jsdom does not have TextDecoder
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const noPause = () => Promise.resolve();
+
+function toBase64(text) {
+    return Buffer.from(text, 'utf-8').toString('base64');
+}
+
+describe('decodeBase64', () => {
+    it('decodes UTF-8 text split in chunks', async () => {
+        const text = JSON.stringify({ violations: [{ message: 'Évitez les requêtes SOQL dans les boucles — 日本語 ✓' }] });
+        const pauses = [];
+        const decoded = await decodeBase64(toBase64(text), { chunkSize: 8, pause: () => Promise.resolve(pauses.push(1)) });
+        expect(decoded).toBe(text);
+        expect(pauses.length).toBeGreaterThan(1);
+    });
+
+    it('rounds the chunk size to a multiple of 4', async () => {
+        const text = 'ça marche';
+        expect(await decodeBase64(toBase64(text), { chunkSize: 7, pause: noPause })).toBe(text);
+        expect(await decodeBase64(toBase64(text), { chunkSize: 1, pause: noPause })).toBe(text);
+        expect(await decodeBase64('', { pause: noPause })).toBe('');
+    });
+});
+
+describe('parseJson', () => {
+    it('parses the same values as JSON.parse', async () => {
+        const texts = [
+            JSON.stringify({ violations: [{ engine: 'pmd', line: 12, message: 'Say "hi" \\ é\n\u2028', score: -1.5e-3, suppressed: false, tags: [], fix: null }], runDir: 'C:\\repo' }),
+            ' [ 1 , [ ] , { } , "" , true ] ',
+            '"text"',
+            '0',
+            '{"__proto__": {"polluted": true}}'
+        ];
+        for (const text of texts) {
+            // eslint-disable-next-line no-await-in-loop
+            expect(await parseJson(text, { pause: noPause })).toEqual(JSON.parse(text));
+        }
+        const parsed = await parseJson('{"__proto__": {"polluted": true}}', { pause: noPause });
+        expect(Object.keys(parsed)).toEqual(['__proto__']);
+        expect(parsed.polluted).toBeUndefined();
+    });
+
+    it('parses the text in chunks', async () => {
+        const violations = Array.from({ length: 50 }, (item, index) => ({ line: index, message: `Violation ${index}` }));
+        const pauses = [];
+        const parsed = await parseJson(JSON.stringify({ violations }), { chunkSize: 100, pause: () => Promise.resolve(pauses.push(1)) });
+        expect(parsed.violations).toEqual(violations);
+        expect(pauses.length).toBeGreaterThan(10);
+    });
+
+    it('rejects what is not JSON', async () => {
+        const texts = ['', '{', '[1,]', '{"a" 1}', '{a: 1}', "['a']", '[1] 2', '01', 'nul', '{"a": 1,}', '}'];
+        for (const text of texts) {
+            // eslint-disable-next-line no-await-in-loop
+            await expect(parseJson(text, { pause: noPause })).rejects.toThrow(SyntaxError);
+        }
+    });
+});
+
+describe('mapInPages', () => {
+    it('maps the items one page at a time', async () => {
+        const pages = [];
+        const result = await mapInPages([1, 2, 3, 4, 5], (item, index) => item * 10 + index, {
+            onPage: (done, total) => pages.push(`${done}/${total}`),
+            pageSize: 2,
+            pause: noPause
+        });
+        expect(result).toEqual([10, 21, 32, 43, 54]);
+        expect(pages).toEqual(['2/5', '4/5', '5/5']);
+    });
+});
+
+describe('memoize', () => {
+    it('only computes again when an argument changes', () => {
+        let calls = 0;
+        const group = memoize((violations, severity) => {
+            calls++;
+            return violations.filter(violation => !severity || violation.severity === severity);
+        });
+        const violations = [{ severity: 1 }, { severity: 2 }];
+
+        const first = group(violations, null);
+        expect(group(violations, null)).toBe(first);
+        expect(calls).toBe(1);
+
+        expect(group(violations, 2)).toEqual([{ severity: 2 }]);
+        expect(group([...violations], 2)).toEqual([{ severity: 2 }]);
+        expect(calls).toBe(3);
+    });
+});
+
+describe('visiblePage', () => {
+    it('returns the first items and what is left', () => {
+        const items = Array.from({ length: RENDER_PAGE_SIZE + 70 }, (item, index) => index);
+
+        const page = visiblePage(items);
+        expect(page.items.length).toBe(RENDER_PAGE_SIZE);
+        expect(page.hasMore).toBe(true);
+        expect(page.moreLabel).toBe(`Show ${RENDER_PAGE_SIZE} more of 70`);
+
+        const next = visiblePage(items, RENDER_PAGE_SIZE * 2);
+        expect(next.moreLabel).toBe('Show 20 more of 20');
+
+        const all = visiblePage(items, items.length);
+        expect(all.items).toBe(items);
+        expect(all.hasMore).toBe(false);
+        expect(visiblePage(undefined).items).toEqual([]);
+    });
+});
+
+describe('visibleWindow', () => {
+    it('renders all the rows of a short table', () => {
+        const items = [1, 2, 3];
+        const window = visibleWindow(items, 2);
+        expect(window.isWindowed).toBe(false);
+        expect(window.items).toBe(items);
+        expect(visibleWindow(undefined).items).toEqual([]);
+    });
+
+    it('renders the rows scrolled into view of a long table', () => {
+        const items = Array.from({ length: WINDOW_ROWS + 100 }, (item, index) => index);
+
+        const top = visibleWindow(items);
+        expect(top.isWindowed).toBe(true);
+        expect(top.items).toEqual(items.slice(0, WINDOW_ROWS));
+        expect(top.spacerStyle).toBe(`height: ${100 * ROW_HEIGHT}px`);
+        expect(top.rangeLabel).toBe(`Rows 1 to ${WINDOW_ROWS} of ${items.length}`);
+
+        const scrolled = visibleWindow(items, firstVisibleRow(40.5 * ROW_HEIGHT));
+        expect(scrolled.items[0]).toBe(40);
+        expect(scrolled.items.length).toBe(WINDOW_ROWS);
+
+        const bottom = visibleWindow(items, 1000);
+        expect(bottom.items).toEqual(items.slice(100));
+    });
+});
@@ -0,0 +1,145 @@
+import { isSarif, sarifToViolations, violationsToSarif, countViolations } from '../sarif';
+
+const PMD_SARIF = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+        tool: {
+            driver: {
+                name: 'PMD',
+                rules: [{
+                    id: 'ApexCRUDViolation',
+                    helpUri: 'https://pmd.github.io/latest/pmd_rules_apex_security.html#apexcrudviolation',
+                    properties: { priority: 1, tags: ['security'] }
+                }, {
+                    id: 'UnusedLocalVariable',
+                    defaultConfiguration: { level: 'note' }
+                }]
+            }
+        },
+        results: [{
+            ruleId: 'ApexCRUDViolation',
+            ruleIndex: 0,
+            level: 'error',
+            message: { text: 'Validate CRUD permission before SOQL/DML operation' },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: 'file:///builds/force-app/main/default/classes/My%20Class.cls' },
+                    region: { startLine: 12, startColumn: 5, endLine: 12, endColumn: 40 }
+                }
+            }]
+        }, {
+            ruleId: 'UnusedLocalVariable',
+            ruleIndex: 1,
+            message: { text: 'Variable x is not used' },
+            locations: [{ physicalLocation: { artifactLocation: { uri: 'force-app/main/default/classes/Other.cls' } } }]
+        }]
+    }, {
+        tool: { driver: { name: 'ESLint' } },
+        results: [{
+            ruleId: 'no-unused-vars',
+            level: 'warning',
+            message: { text: 'x is defined but never used' },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: 'force-app/main/default/lwc/cmp/cmp.js' },
+                    region: { startLine: 3 }
+                }
+            }]
+        }]
+    }]
+};
+
+describe('isSarif', () => {
+    it('recognizes SARIF logs only', () => {
+        expect(isSarif(PMD_SARIF)).toBe(true);
+        expect(isSarif({ runs: [] })).toBe(true);
+        expect(isSarif({ version: '1.0.0', runs: [] })).toBe(false);
+        expect(isSarif({ violations: [], violationCounts: { total: 0 } })).toBe(false);
+        expect(isSarif(null)).toBe(false);
+    });
+});
+
+describe('sarifToViolations', () => {
+    it('converts the results to Code Analyzer violations', () => {
+        const { violations } = sarifToViolations(PMD_SARIF);
+        expect(violations.length).toBe(3);
+        expect(violations[0]).toEqual({
+            engine: 'pmd',
+            locations: [{ file: '/builds/force-app/main/default/classes/My Class.cls', startLine: 12, startColumn: 5, endLine: 12, endColumn: 40 }],
+            message: 'Validate CRUD permission before SOQL/DML operation',
+            primaryLocationIndex: 0,
+            resources: ['https://pmd.github.io/latest/pmd_rules_apex_security.html#apexcrudviolation'],
+            rule: 'ApexCRUDViolation',
+            severity: 1,
+            tags: ['security']
+        });
+        expect(violations[2].engine).toBe('eslint');
+    });
+
+    it('maps the levels to severities when there is none', () => {
+        const { violations } = sarifToViolations(PMD_SARIF);
+        expect(violations[1].severity).toBe(4);
+        expect(violations[2].severity).toBe(3);
+    });
+
+    it('counts the violations by severity', () => {
+        expect(sarifToViolations(PMD_SARIF).violationCounts).toEqual({ total: 3, sev1: 1, sev2: 0, sev3: 1, sev4: 1, sev5: 0 });
+        expect(countViolations([])).toEqual({ total: 0, sev1: 0, sev2: 0, sev3: 0, sev4: 0, sev5: 0 });
+    });
+});
+
+describe('violationsToSarif', () => {
+    const rows = [{
+        allLocations: [{ file: 'force-app/main/default/classes/A.cls', startLine: 3, startColumn: 1 }],
+        engine: 'pmd',
+        file: 'classes/A.cls',
+        line: 3,
+        message: 'First',
+        resource: 'https://docs/rule',
+        rule: 'RuleA',
+        severity: 2,
+        tags: ['Security']
+    }, {
+        allLocations: [{ file: 'force-app/main/default/classes/B.cls', startLine: 8 }],
+        engine: 'pmd',
+        message: 'Second',
+        resource: 'https://docs/rule',
+        rule: 'RuleA',
+        severity: 2,
+        tags: ['Security']
+    }, {
+        engine: 'eslint',
+        file: 'lwc/cmp/cmp.js',
+        line: 5,
+        message: 'Third',
+        rule: 'no-console',
+        severity: 5
+    }];
+
+    it('writes one run per engine with its rules', () => {
+        const sarif = violationsToSarif(rows);
+        expect(sarif.version).toBe('2.1.0');
+        expect(sarif.runs.map(run => run.tool.driver.name)).toEqual(['pmd', 'eslint']);
+        expect(sarif.runs[0].tool.driver.rules.length).toBe(1);
+        expect(sarif.runs[0].results.map(result => result.ruleIndex)).toEqual([0, 0]);
+        expect(sarif.runs[0].results[0]).toMatchObject({
+            ruleId: 'RuleA',
+            level: 'error',
+            message: { text: 'First' },
+            locations: [{ physicalLocation: { artifactLocation: { uri: 'force-app/main/default/classes/A.cls' }, region: { startLine: 3, startColumn: 1 } } }]
+        });
+        expect(sarif.runs[1].results[0].level).toBe('note');
+    });
+
+    it('can be imported back', () => {
+        const { violations } = sarifToViolations(violationsToSarif(rows));
+        expect(violations.map(v => [v.engine, v.rule, v.severity, v.message])).toEqual([
+            ['pmd', 'RuleA', 2, 'First'],
+            ['pmd', 'RuleA', 2, 'Second'],
+            ['eslint', 'no-console', 5, 'Third']
+        ]);
+        expect(violations[0].resources).toEqual(['https://docs/rule']);
+        expect(violations[2].locations).toEqual([{ file: 'lwc/cmp/cmp.js', startLine: 5, startColumn: undefined, endLine: undefined, endColumn: undefined }]);
+    });
+});
@@ -0,0 +1,53 @@
+import { findSuppressed, isActive, today } from '../suppression';
+import { fingerprint } from '../baseline';
+
+function row(rule, file, line, message) {
+    return {
+        file,
+        line,
+        message,
+        rule,
+        fullViolation: { locations: [{ file, startLine: line }], primaryLocationIndex: 0 }
+    };
+}
+
+describe('today', () => {
+    it('formats the date of the user', () => {
+        expect(today(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05');
+    });
+});
+
+describe('isActive', () => {
+    it('is active until the end of the expiration date', () => {
+        expect(isActive({ expirationDate: null }, '2026-10-19')).toBe(true);
+        expect(isActive({ expirationDate: '2026-10-19' }, '2026-10-19')).toBe(true);
+        expect(isActive({ expirationDate: '2026-10-18' }, '2026-10-19')).toBe(false);
+    });
+});
+
+describe('findSuppressed', () => {
+    const crud = row('ApexCRUDViolation', 'classes/A.cls', 10, 'Validate CRUD');
+    const otherCrud = row('ApexCRUDViolation', 'classes/A.cls', 40, 'Validate CRUD before update');
+    const otherFile = row('ApexCRUDViolation', 'classes/B.cls', 10, 'Validate CRUD');
+    const rows = [crud, otherCrud, otherFile];
+
+    it('suppresses all the violations of a rule in a file', () => {
+        const suppression = { rule: 'ApexCRUDViolation', file: 'classes/A.cls', fingerprint: null };
+        const suppressed = findSuppressed(rows, [suppression], '2026-10-19');
+        expect(suppressed.size).toBe(2);
+        expect(suppressed.get(crud)).toBe(suppression);
+        expect(suppressed.has(otherFile)).toBe(false);
+    });
+
+    it('suppresses one violation by fingerprint', () => {
+        const suppression = { rule: 'ApexCRUDViolation', file: 'classes/A.cls', fingerprint: fingerprint(crud) };
+        const suppressed = findSuppressed(rows, [suppression], '2026-10-19');
+        expect(suppressed.size).toBe(1);
+        expect(suppressed.has(crud)).toBe(true);
+    });
+
+    it('ignores expired suppressions', () => {
+        const suppression = { rule: 'ApexCRUDViolation', file: 'classes/A.cls', fingerprint: null, expirationDate: '2026-10-01' };
+        expect(findSuppressed(rows, [suppression], '2026-10-19').size).toBe(0);
+    });
+});
@@ -0,0 +1,82 @@
+import { repositoryPath, traceSteps, sourceRange, formatPosition, highlightLines, snippetLines } from '../trace';
+
+describe('repositoryPath', () => {
+    it('removes the directory of the checkout', () => {
+        expect(repositoryPath('/tmp/workspace/repo/force-app/main/default/classes/A.cls')).toBe('force-app/main/default/classes/A.cls');
+        expect(repositoryPath('C:\\work\\force-app\\main\\default\\lwc\\a\\a.js')).toBe('force-app/main/default/lwc/a/a.js');
+        expect(repositoryPath('./scripts/build.js')).toBe('scripts/build.js');
+        expect(repositoryPath(undefined)).toBe('');
+    });
+});
+
+describe('traceSteps', () => {
+    const locations = [
+        { file: 'classes/Controller.cls', startLine: 5 },
+        { file: 'classes/Service.cls', startLine: 20 },
+        { file: 'classes/Selector.cls', startLine: 8, comment: 'SOQL query' }
+    ];
+
+    it('shows data flows from the source to the sink', () => {
+        const steps = traceSteps({ engine: 'sfge', locations, primaryLocationIndex: 2 });
+        expect(steps.map(step => step.label)).toEqual(['Source', 'Step 1', 'Sink: SOQL query']);
+        expect(steps.map(step => step.isPrimary)).toEqual([false, false, true]);
+    });
+
+    it('numbers the duplicates of CPD', () => {
+        expect(traceSteps({ engine: 'cpd', locations: locations.slice(0, 2) }).map(step => step.label)).toEqual(['Duplicate 1', 'Duplicate 2']);
+    });
+
+    it('tells the primary location from the others', () => {
+        expect(traceSteps({ engine: 'pmd', locations: locations.slice(0, 2), primaryLocationIndex: 1 }).map(step => step.label))
+            .toEqual(['Related', 'Primary']);
+        expect(traceSteps({ engine: 'pmd' })).toEqual([]);
+    });
+});
+
+describe('sourceRange', () => {
+    it('adds context lines around the location', () => {
+        expect(sourceRange({ startLine: 10, endLine: 12 })).toEqual({ fromLine: 7, toLine: 15 });
+        expect(sourceRange({ startLine: 2 })).toEqual({ fromLine: 1, toLine: 5 });
+    });
+});
+
+describe('formatPosition', () => {
+    it('formats lines and columns', () => {
+        expect(formatPosition({ startLine: 12, startColumn: 5, endLine: 14, endColumn: 20 })).toBe('12:5-14:20');
+        expect(formatPosition({ startLine: 12, startColumn: 5 })).toBe('12:5');
+        expect(formatPosition({ startLine: 12, endLine: 12 })).toBe('12');
+        expect(formatPosition({ startLine: 12, endLine: 13 })).toBe('12-13');
+    });
+});
+
+describe('highlightLines', () => {
+    const lines = [
+        { number: 1, text: 'public class A {' },
+        { number: 2, text: '    void b() {' },
+        { number: 3, text: '        update c;' },
+        { number: 4, text: '    }' }
+    ];
+
+    it('highlights the columns of a location on one line', () => {
+        const result = highlightLines(lines, { startLine: 3, startColumn: 9, endLine: 3, endColumn: 18 });
+        expect(result[2]).toMatchObject({ before: '        ', highlight: 'update c;', after: '', cssClass: 'source-line source-line_highlighted' });
+        expect(result[1]).toMatchObject({ before: '    void b() {', highlight: '', after: '', cssClass: 'source-line' });
+    });
+
+    it('highlights the lines of a location on several lines', () => {
+        const result = highlightLines(lines, { startLine: 2, startColumn: 5, endLine: 4, endColumn: 6 });
+        expect(result.map(line => line.highlight)).toEqual(['', 'void b() {', '        update c;', '    }']);
+        expect(result[1].before).toBe('    ');
+    });
+
+    it('highlights whole lines without columns', () => {
+        expect(highlightLines(lines, { startLine: 1 })[0].highlight).toBe('public class A {');
+    });
+});
+
+describe('snippetLines', () => {
+    it('numbers the lines of the snippet', () => {
+        expect(snippetLines({ startLine: 7, snippet: 'a\nb' })).toEqual([{ number: 7, text: 'a' }, { number: 8, text: 'b' }]);
+        expect(snippetLines({ startLine: 7 })).toEqual([]);
+    });
+});
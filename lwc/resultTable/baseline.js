@@ -0,0 +1,52 @@
+// Compares the violations of a scan with the ones of a baseline scan (a previous run on the user story, the scan of a promotion...).
+// Violations are matched by fingerprint, not by line, so a violation is still the same one when the code above it changed.
+
+export const DIFF_NEW = 'new';
+export const DIFF_FIXED = 'fixed';
+export const DIFF_UNCHANGED = 'unchanged';
+
+// Fingerprint of a row of the table (see resultTable.transformJson): rule, file and the normalised snippet
+export function fingerprint(row) {
+    const file = (row.file || '').replace(/\\/gu, '/').toLowerCase();
+    return [row.rule, file, normalizeSnippet(row)].join('|');
+}
+
+// Returns the rows that are new, fixed (only in the baseline) and unchanged (in both)
+export function diffViolations(current, baseline) {
+    const remaining = new Map();
+    baseline.forEach(row => {
+        const key = fingerprint(row);
+        if (!remaining.has(key)) {
+            remaining.set(key, []);
+        }
+        remaining.get(key).push(row);
+    });
+
+    const result = {
+        [DIFF_NEW]: [],
+        [DIFF_FIXED]: [],
+        [DIFF_UNCHANGED]: []
+    };
+    current.forEach(row => {
+        // a rule can be violated several times in a file with the same snippet, each one is matched once
+        const matches = remaining.get(fingerprint(row));
+        if (matches?.length) {
+            matches.shift();
+            result[DIFF_UNCHANGED].push(row);
+        } else {
+            result[DIFF_NEW].push(row);
+        }
+    });
+    // one row at a time: spreading thousands of rows into push() would exceed the maximum number of arguments
+    remaining.forEach(rows => rows.forEach(row => result[DIFF_FIXED].push(row)));
+    return result;
+}
+
+// Helper method to normalise the snippet of the primary location (SARIF), or the message when there is none.
+// Whitespaces and case do not matter, nor the numbers of the messages (e.g. "has a cognitive complexity of 12")
+function normalizeSnippet(row) {
+    const violation = row.fullViolation || {};
+    const location = violation.locations?.[violation.primaryLocationIndex] || violation.locations?.[0];
+    const text = location?.snippet ? location.snippet : (row.message || '').replace(/\d+/gu, '#');
+    return text.replace(/\s+/gu, ' ').trim().toLowerCase();
+}
@@ -0,0 +1,214 @@
+// Helpers to keep the tab responsive with scans of tens of thousands of violations:
+// the scan file is decoded, parsed and transformed in chunks, giving the browser a chance to render between them,
+// the groupings are only computed again when their inputs change, and the tables of violations only render
+// the rows scrolled into view.
+
+// Characters of base64 decoded at once, a multiple of 4 so that each chunk can be decoded on its own
+export const DECODE_CHUNK_SIZE = 1024 * 1024;
+export const TRANSFORM_PAGE_SIZE = 2000;
+export const RENDER_PAGE_SIZE = 50;
+// Characters of JSON parsed at once
+export const PARSE_CHUNK_SIZE = 256 * 1024;
+// Rows of a table rendered at once, and the height of a row and of the header of lightning-datatable, in pixels
+export const WINDOW_ROWS = 15;
+export const ROW_HEIGHT = 33;
+const HEADER_HEIGHT = 33;
+
+// A token of JSON with the whitespace before it: punctuation, string, number or literal
+const JSON_TOKEN_REGEX = /[ \t\n\r]*(?:([[\]{}:,])|("[^"\\]*(?:\\.[^"\\]*)*")|(-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)|(true|false|null))/y;
+const JSON_TRAILING_REGEX = /[ \t\n\r]*$/y;
+const JSON_LITERALS = { false: false, null: null, true: true };
+// What the parser expects next
+const EXPECT_VALUE = 'value';
+const EXPECT_VALUE_OR_END = 'valueOrEnd';
+const EXPECT_KEY = 'key';
+const EXPECT_KEY_OR_END = 'keyOrEnd';
+const EXPECT_COLON = 'colon';
+const EXPECT_COMMA_OR_END = 'commaOrEnd';
+const EXPECT_NOTHING = 'nothing';
+
+// Decodes base64 UTF-8 text. A character split between two chunks is kept by the decoder until the next one
+export async function decodeBase64(base64, { chunkSize = DECODE_CHUNK_SIZE, pause = nextTask } = {}) {
+    const size = Math.max(4, chunkSize - (chunkSize % 4));
+    const decoder = new TextDecoder('utf-8');
+    const parts = [];
+
+    for (let start = 0; start < base64.length; start += size) {
+        const binary = atob(base64.slice(start, start + size));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        parts.push(decoder.decode(bytes, { stream: true }));
+        // eslint-disable-next-line no-await-in-loop
+        await pause();
+    }
+    parts.push(decoder.decode());
+
+    return parts.join('');
+}
+
+// Same as JSON.parse(text), chunkSize characters at a time. Throws a SyntaxError when the text is not JSON
+export async function parseJson(text, { chunkSize = PARSE_CHUNK_SIZE, pause = nextTask } = {}) {
+    const tokens = new RegExp(JSON_TOKEN_REGEX.source, 'y');
+    // The arrays and objects being parsed, the innermost last, with the key of the next value of an object
+    const stack = [];
+    let root;
+    let expected = EXPECT_VALUE;
+    let pauseAt = chunkSize;
+
+    const fail = position => {
+        throw new SyntaxError(`Unexpected token in JSON at position ${position}`);
+    };
+    const add = value => {
+        const parent = stack[stack.length - 1];
+        if (!parent) {
+            root = value;
+        } else if (Array.isArray(parent.value)) {
+            parent.value.push(value);
+        } else {
+            // an own property, as JSON.parse does, even for __proto__
+            Object.defineProperty(parent.value, parent.key, { configurable: true, enumerable: true, value, writable: true });
+        }
+    };
+    const close = () => {
+        stack.pop();
+        expected = stack.length ? EXPECT_COMMA_OR_END : EXPECT_NOTHING;
+    };
+
+    while (expected !== EXPECT_NOTHING) {
+        if (tokens.lastIndex >= pauseAt) {
+            pauseAt = tokens.lastIndex + chunkSize;
+            // eslint-disable-next-line no-await-in-loop
+            await pause();
+        }
+        const position = tokens.lastIndex;
+        const match = tokens.exec(text);
+        if (!match) {
+            fail(position);
+        }
+        const [, punctuation, string, number, literal] = match;
+        const parent = stack[stack.length - 1];
+
+        if (expected === EXPECT_KEY || expected === EXPECT_KEY_OR_END) {
+            if (string !== undefined) {
+                parent.key = parseJsonString(string);
+                expected = EXPECT_COLON;
+            } else if (punctuation === '}' && expected === EXPECT_KEY_OR_END) {
+                close();
+            } else {
+                fail(position);
+            }
+        } else if (expected === EXPECT_COLON) {
+            if (punctuation !== ':') {
+                fail(position);
+            }
+            expected = EXPECT_VALUE;
+        } else if (expected === EXPECT_COMMA_OR_END) {
+            const isArray = Array.isArray(parent.value);
+            if (punctuation === ',') {
+                expected = isArray ? EXPECT_VALUE : EXPECT_KEY;
+            } else if (punctuation === (isArray ? ']' : '}')) {
+                close();
+            } else {
+                fail(position);
+            }
+        } else if (punctuation === ']' && expected === EXPECT_VALUE_OR_END) {
+            close();
+        } else if (punctuation === '[' || punctuation === '{') {
+            const value = punctuation === '[' ? [] : {};
+            add(value);
+            stack.push({ key: null, value });
+            expected = punctuation === '[' ? EXPECT_VALUE_OR_END : EXPECT_KEY_OR_END;
+        } else if (punctuation) {
+            fail(position);
+        } else {
+            add(string !== undefined ? parseJsonString(string) : number !== undefined ? Number(number) : JSON_LITERALS[literal]);
+            expected = stack.length ? EXPECT_COMMA_OR_END : EXPECT_NOTHING;
+        }
+    }
+
+    JSON_TRAILING_REGEX.lastIndex = tokens.lastIndex;
+    JSON_TRAILING_REGEX.exec(text);
+    if (JSON_TRAILING_REGEX.lastIndex !== text.length) {
+        fail(JSON_TRAILING_REGEX.lastIndex);
+    }
+    return root;
+}
+
+// Same as items.map(mapper), one page at a time. onPage(done, total) is called after each page
+export async function mapInPages(items, mapper, { pageSize = TRANSFORM_PAGE_SIZE, onPage, pause = nextTask } = {}) {
+    const result = new Array(items.length);
+
+    for (let start = 0; start < items.length; start += pageSize) {
+        const end = Math.min(start + pageSize, items.length);
+        for (let i = start; i < end; i++) {
+            result[i] = mapper(items[i], i);
+        }
+        onPage?.(end, items.length);
+        // eslint-disable-next-line no-await-in-loop
+        await pause();
+    }
+
+    return result;
+}
+
+// Returns a function that only calls compute again when one of its arguments changed (===)
+export function memoize(compute) {
+    let lastArgs = null;
+    let lastResult;
+
+    return (...args) => {
+        const changed = !lastArgs || args.length !== lastArgs.length || args.some((arg, i) => arg !== lastArgs[i]);
+        if (changed) {
+            lastResult = compute(...args);
+            lastArgs = args;
+        }
+        return lastResult;
+    };
+}
+
+// The first limit items of a list, and the label of the button showing the next page
+export function visiblePage(items, limit = RENDER_PAGE_SIZE, pageSize = RENDER_PAGE_SIZE) {
+    const list = items || [];
+    const remaining = list.length - limit;
+    return {
+        hasMore: remaining > 0,
+        items: remaining > 0 ? list.slice(0, limit) : list,
+        moreLabel: remaining > 0 ? `Show ${Math.min(remaining, pageSize)} more of ${remaining}` : ''
+    };
+}
+
+// The rows of a table rendered for its scroll position, firstRow being the first one scrolled into view.
+// A table of more than size rows scrolls in a viewport of size rows: the table stays at its top (position: sticky)
+// and a spacer after it gives the viewport the height of all the rows
+export function visibleWindow(items, firstRow = 0, size = WINDOW_ROWS) {
+    const list = items || [];
+    if (list.length <= size) {
+        return { isWindowed: false, items: list, rangeLabel: '', spacerStyle: '', viewportClass: '', viewportStyle: '' };
+    }
+    const first = Math.max(0, Math.min(firstRow || 0, list.length - size));
+    return {
+        isWindowed: true,
+        items: list.slice(first, first + size),
+        rangeLabel: `Rows ${first + 1} to ${first + size} of ${list.length}`,
+        spacerStyle: `height: ${(list.length - size) * ROW_HEIGHT}px`,
+        viewportClass: 'virtual-list',
+        viewportStyle: `height: ${HEADER_HEIGHT + size * ROW_HEIGHT}px`
+    };
+}
+
+// The first row scrolled into view of a viewport of visibleWindow
+export function firstVisibleRow(scrollTop) {
+    return Math.floor(scrollTop / ROW_HEIGHT);
+}
+
+// Strings without escapes are most of them, and do not need JSON.parse
+function parseJsonString(token) {
+    return token.includes('\\') ? JSON.parse(token) : token.slice(1, -1);
+}
+
+function nextTask() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
@@ -2,19 +2,45 @@ import { LightningElement, api, track, wire } from 'lwc';
 import { getFieldValue, getRecord } from 'lightning/uiRecordApi';
 import { getRelatedListRecords } from 'lightning/uiRelatedListApi';
 import { loadScript } from 'lightning/platformResourceLoader';
+import { refreshApex } from '@salesforce/apex';
+import USER_ID from '@salesforce/user/Id';
 
 import jsyamllib from "@salesforce/resourceUrl/jsyamllib";
 import LATEST_PUBLISHED_VERSION_FIELD from '@salesforce/schema/ContentDocumentLink.ContentDocument.LatestPublishedVersionId';
 import TITLE_FIELD from '@salesforce/schema/ContentDocumentLink.ContentDocument.Title';
 import VERSION_DATA_FIELD from '@salesforce/schema/ContentVersion.VersionData';
+import getBaselines from '@salesforce/apex/ScanResultBaselineController.getBaselines';
+import getSuppressions from '@salesforce/apex/ScanViolationSuppressionController.getSuppressions';
+import createSuppression from '@salesforce/apex/ScanViolationSuppressionController.createSuppression';
+import getSourceLines from '@salesforce/apex/ScanSourceController.getSourceLines';
+
+import { isSarif, sarifToViolations, violationsToSarif } from './sarif';
+import { diffViolations, fingerprint, DIFF_FIXED, DIFF_NEW, DIFF_UNCHANGED } from './baseline';
+import { findSuppressed, today } from './suppression';
+import { formatPosition, highlightLines, repositoryPath, snippetLines, sourceRange, traceSteps } from './trace';
+import { decodeBase64, firstVisibleRow, mapInPages, memoize, parseJson, visiblePage, visibleWindow, RENDER_PAGE_SIZE } from './largeResults';
 
 // Constants for magic numbers and strings
 const DEFAULT_GROUPING = 'engine';
 const OUTPUT_FILE_NAME = 'output.json';
+const SARIF_FILE_PATTERN = /\.sarif(\.json)?$/iu;
+const SARIF_EXPORT_FILE_NAME = 'violations.sarif';
 const UNKNOWN_FILE = 'Unknown File';
 const UNKNOWN_TYPE = 'Unknown';
 const MAIN_DEFAULT_PATTERN = /main\/default\/([^\/]+)\/(.+)/u;
 const SEVERITY_PREFIX = 'sev';
+const SUPPRESSED_PAGE = 'suppressed';
+const ENGINE_ACCORDION = 'engine';
+const METADATA_TYPE_ACCORDION = 'typefilename';
+const BASELINE_SOURCE_USER_STORY = 'userStory';
+const VIEW_DETAILS = 'view_details';
+const VIEW_DETAILS_ACTION = { label: 'View Details', name: VIEW_DETAILS };
+const SUPPRESS_VIOLATION = 'suppress_violation';
+const SUPPRESS_RULE_IN_FILE = 'suppress_rule';
+const SUPPRESS_ACTIONS = [
+    { label: 'Suppress Violation', name: SUPPRESS_VIOLATION },
+    { label: 'Suppress Rule in File', name: SUPPRESS_RULE_IN_FILE }
+];
 
 // Add severity labels map after constants
 const SEVERITY_LABELS = {
@@ -27,24 +53,45 @@ const SEVERITY_LABELS = {
 
 export default class ResultTable extends LightningElement {
     @api recordId;
-    @track filteredJson = null;
+    filteredJson = null;
     @track relevantFormattedJson;
     @track selectedSeverity = null;
     @track violationCounts = null;
     @track searchValue = '';
-
+    @track detail = null;
+    @track suppressionForm = null;
+
+    baselineError;
+    baselineId = '';
+    baselineJson;
+    baselines = [];
+    baselineVersionId;
+    diff = null;
+    diffView = DIFF_NEW;
     formattedJson;
     groupBy = DEFAULT_GROUPING;
     groupByOptions = [
         { label: 'Engine/Rule', value: 'engine' },
         { label: 'Type/Filename', value: 'typefilename' }
     ];
+    loadingMessage = null;
     message = 'No Violations Found';
+    // Names of the open sections of each accordion, only their content is rendered
+    openSections = {};
+    // Number of items rendered for each list of rules or files with a "Show more" button, RENDER_PAGE_SIZE when not in it
+    pageLimits = {};
+    // First row scrolled into view of each table of violations, 0 when not in it
+    listOffsets = {};
     result = {};
     scriptsLoaded = false;
+    repositoryId;
+    showSuppressed = false;
     showTable = false;
+    suppressedRows = new Map();
+    suppressions = [];
     type;
     versionId;
+    wiredSuppressionsResult;
 
     // Mapping of engine names to their short descriptions
     engineDescriptions = {
@@ -57,6 +104,19 @@ export default class ResultTable extends LightningElement {
         sfge: 'Salesforce Graph Engine: Advanced static analysis for security, CRUD/FLS, and data flow in Apex.'
     };
 
+    // Groupings and counts are only computed again when the violations, the filters or the open sections change,
+    // not on every render
+    _baseViolations = memoize((violations, suppressedRows) => {
+        return suppressedRows.size ? violations.filter(violation => !suppressedRows.has(violation)) : violations;
+    });
+    _engineGroups = memoize((violations, severity) => this.groupByEngineAndRuleArray(violations, severity));
+    _metadataTypeGroups = memoize((violations, severity) => this.groupByMetadataTypeArray(violations, severity));
+    _engineSections = memoize((groups, openSections, pageLimits, listOffsets) => this.pageSections(groups, 'rules', ENGINE_ACCORDION, openSections, pageLimits, listOffsets));
+    _metadataTypeSections = memoize((groups, openSections, pageLimits, listOffsets) => this.pageSections(groups, 'files', METADATA_TYPE_ACCORDION, openSections, pageLimits, listOffsets));
+    _severityCounts = memoize(violations => this.countBySeverity(violations));
+    _suppressedViolations = memoize((violations, suppressedRows) => this.withSuppressions(violations, suppressedRows));
+    _suppressedPage = memoize((violations, first) => visibleWindow(violations, first));
+
     @wire(getRelatedListRecords, {
         fields: [
             `${LATEST_PUBLISHED_VERSION_FIELD.objectApiName}.${LATEST_PUBLISHED_VERSION_FIELD.fieldApiName}`,
@@ -67,8 +127,9 @@ export default class ResultTable extends LightningElement {
     })
     docLinksInfo({ data }) {
         if (data) {
-            // Change the file name from where data should be fetched
-            const logsDoc = data?.records?.find((doc) => getFieldValue(doc, TITLE_FIELD) === OUTPUT_FILE_NAME);
+            // Change the file name from where data should be fetched, SARIF files are used when there is no output.json
+            const logsDoc = data?.records?.find((doc) => getFieldValue(doc, TITLE_FIELD) === OUTPUT_FILE_NAME) ||
+                data?.records?.find((doc) => SARIF_FILE_PATTERN.test(getFieldValue(doc, TITLE_FIELD)));
 
             if (logsDoc) {
                 this.versionId = getFieldValue(logsDoc, LATEST_PUBLISHED_VERSION_FIELD);
@@ -79,16 +140,33 @@ export default class ResultTable extends LightningElement {
     @wire(getRecord, { fields: [VERSION_DATA_FIELD], recordId: '$versionId' })
     wiredVersion({ data }) {
         if (data) {
-            const rawData = getFieldValue(data, VERSION_DATA_FIELD);
-            const serializedJson = this.b64DecodeUnicode(rawData);
-            const { formattedJson, type } = this.getFormattedData(serializedJson);
-
-            if (formattedJson.length > 0) {
-                this.formattedJson = formattedJson;
-                this.relevantFormattedJson = formattedJson;
-                this.showTable = true;
-                this.type = type;
-            }
+            this._loadScan(this.versionId, getFieldValue(data, VERSION_DATA_FIELD));
+        }
+    }
+
+    // Results that can be compared with this one: previous runs on the user story, last completed promotion
+    @wire(getBaselines, { resultId: '$recordId' })
+    wiredBaselines({ data }) {
+        if (data) {
+            this.baselines = data;
+        }
+    }
+
+    // Suppressions of the repository of this result, applied when grouping and counting
+    @wire(getSuppressions, { resultId: '$recordId' })
+    wiredSuppressions(value) {
+        this.wiredSuppressionsResult = value;
+        if (value.data) {
+            this.repositoryId = value.data.repositoryId;
+            this.suppressions = value.data.suppressions;
+            this._applySuppressions();
+        }
+    }
+
+    @wire(getRecord, { fields: [VERSION_DATA_FIELD], recordId: '$baselineVersionId' })
+    wiredBaselineVersion({ data }) {
+        if (data) {
+            this._loadBaseline(this.baselineVersionId, getFieldValue(data, VERSION_DATA_FIELD));
         }
     }
 
@@ -99,6 +177,82 @@ export default class ResultTable extends LightningElement {
         }
     }
 
+    // Users cannot approve their own suppressions
+    get approverFilter() {
+        return { criteria: [{ fieldPath: 'Id', operator: 'ne', value: USER_ID }] };
+    }
+
+    // Violations of the selected tab (New/Fixed/Unchanged) when compared with a baseline, all of them otherwise.
+    // Suppressed violations are only shown in the list of suppressed violations
+    get baseViolations() {
+        const violations = this.diff ? this.diff[this.diffView] : this.formattedJson;
+        return violations ? this._baseViolations(violations, this.suppressedRows) : violations;
+    }
+
+    get baselineOptions() {
+        return [{ label: 'None', value: '' }].concat(this.baselines.map(baseline => {
+            const source = baseline.source === BASELINE_SOURCE_USER_STORY ? 'Previous run on' : 'Last completed promotion';
+            const createdDate = new Date(baseline.createdDate).toLocaleString();
+            return {
+                label: `${source} ${baseline.sourceName} - ${baseline.name} (${createdDate})`,
+                value: baseline.id
+            };
+        }));
+    }
+
+    get diffTabs() {
+        if (!this.diff) {
+            return [];
+        }
+        return [
+            { label: `New (${this.diff[DIFF_NEW].length})`, value: DIFF_NEW },
+            { label: `Fixed (${this.diff[DIFF_FIXED].length})`, value: DIFF_FIXED },
+            { label: `Unchanged (${this.diff[DIFF_UNCHANGED].length})`, value: DIFF_UNCHANGED }
+        ];
+    }
+
+    get hasBaselines() {
+        return this.baselines.length > 0;
+    }
+
+    get hasSuppressedViolations() {
+        return this.suppressedViolations.length > 0;
+    }
+
+    // True when the violations shown are not all the ones of violationCounts
+    get isViolationSubset() {
+        return Boolean(this.filteredJson || this.diff || this.suppressedRows.size);
+    }
+
+    get minExpirationDate() {
+        return today();
+    }
+
+    get suppressedColumns() {
+        return [
+            { fieldName: 'file', label: 'File', type: 'text' },
+            { fieldName: 'line', label: 'Line', type: 'number' },
+            { fieldName: 'rule', label: 'Rule', type: 'text' },
+            { fieldName: 'justification', label: 'Justification', type: 'text', wrapText: true },
+            { fieldName: 'approverName', label: 'Approver', type: 'text' },
+            { fieldName: 'expirationDate', label: 'Expires', type: 'date-local' },
+            { fieldName: 'createdByName', label: 'Suppressed By', type: 'text' }
+        ];
+    }
+
+    // Suppressed violations of this scan with the suppression that hides them, for the audit
+    get suppressedViolations() {
+        return this._suppressedViolations(this.formattedJson || [], this.suppressedRows);
+    }
+
+    get suppressedViolationsPage() {
+        return this._suppressedPage(this.suppressedViolations, this.listOffsets[SUPPRESSED_PAGE]);
+    }
+
+    get suppressedToggleLabel() {
+        return `${this.showSuppressed ? 'Hide' : 'Show'} Suppressed (${this.suppressedViolations.length})`;
+    }
+
     get columns() {
         if (this.type !== 'Table') {
             return [];
@@ -197,7 +351,7 @@ export default class ResultTable extends LightningElement {
     }
 
     get groupedByEngine() {
-        const data = this.filteredJson || this.formattedJson;
+        const data = this.filteredJson || this.baseViolations;
         if (!data) {
             return [];
         }
@@ -207,7 +361,7 @@ export default class ResultTable extends LightningElement {
     }
 
     get filteredGroupedByEngine() {
-        const data = this.filteredJson || this.formattedJson;
+        const data = this.filteredJson || this.baseViolations;
         if (!data) {
             return [];
         }
@@ -233,13 +387,22 @@ export default class ResultTable extends LightningElement {
     }
 
     get groupedByMetadataTypeArray() {
-        // Use filteredJson if present, otherwise formattedJson
-        const data = this.filteredJson || this.formattedJson;
+        // Use filteredJson if present, otherwise baseViolations
+        const data = this.filteredJson || this.baseViolations;
         if (!data) {
             return [];
         }
 
-        const filterSeverity = this.selectedSeverity;
+        const groups = this._metadataTypeGroups(data, this.selectedSeverity);
+        return this._metadataTypeSections(groups, this.openSections, this.pageLimits, this.listOffsets);
+    }
+
+    // Open sections of the accordion of the current grouping
+    get openGroupSections() {
+        return this.openSections[this.isEngineGrouping ? ENGINE_ACCORDION : METADATA_TYPE_ACCORDION] || [];
+    }
+
+    groupByMetadataTypeArray(data, filterSeverity) {
         const metaTypeMap = {};
 
         data.forEach(violation => {
@@ -288,10 +451,13 @@ export default class ResultTable extends LightningElement {
     }
 
     get groupedViolationsArray() {
-        // Use filteredJson if present, otherwise formattedJson
-        const data = this.filteredJson || this.formattedJson;
+        // Use filteredJson if present, otherwise baseViolations
+        const data = this.filteredJson || this.baseViolations;
+        if (!data) {
+            return [];
+        }
         if (this.groupBy === 'engine') {
-            return this.groupByEngineAndRuleArray(data);
+            return this._engineSections(this._engineGroups(data, this.selectedSeverity), this.openSections, this.pageLimits, this.listOffsets);
         } else if (this.groupBy === 'typefilename') {
             // For type/filename grouping
             // Return: [{ key, label, files: [{ key, label, violations }] }]
@@ -332,6 +498,11 @@ export default class ResultTable extends LightningElement {
         return (this.type === 'YAML' && this.formattedJson);
     }
 
+    // Progress of the loading of the scan file, or the message when there is nothing to show
+    get statusMessage() {
+        return this.loadingMessage || this.message;
+    }
+
     get recordCount() {
         return this.relevantFormattedJson?.length;
     }
@@ -342,7 +513,8 @@ export default class ResultTable extends LightningElement {
         }
 
         // Get the data to count from (filtered or original)
-        const data = this.filteredJson || this.formattedJson;
+        const data = this.filteredJson || this.baseViolations;
+        const counts = data ? this._severityCounts(data) : {};
 
         return Object.keys(this.violationCounts)
             .filter(key => key.startsWith(SEVERITY_PREFIX))
@@ -351,9 +523,9 @@ export default class ResultTable extends LightningElement {
 
                 // Calculate dynamic count for this severity level
                 let count = this.violationCounts[key];
-                if (data && this.filteredJson) {
-                    // If search is applied, count only violations of this severity in the filtered results
-                    count = data.filter(violation => String(violation.severity) === String(level)).length;
+                if (data && this.isViolationSubset) {
+                    // If search, a baseline or suppressions are applied, count only violations of this severity in the filtered results
+                    count = counts[level] || 0;
                 }
 
                 // Determine button variant based on selection state
@@ -374,26 +546,34 @@ export default class ResultTable extends LightningElement {
     }
 
     get dynamicTotalViolations() {
-        // Use filteredJson if present, otherwise formattedJson
-        const data = this.filteredJson || this.formattedJson;
+        // Use filteredJson if present, otherwise baseViolations
+        const data = this.filteredJson || this.baseViolations;
         if (!data) {
             return 0;
         }
 
         // If a severity filter is applied, count only violations of that severity
         if (this.selectedSeverity) {
-            return data.filter(violation => String(violation.severity) === String(this.selectedSeverity)).length;
+            return this._severityCounts(data)[this.selectedSeverity] || 0;
         }
 
-        // If search is applied, return the count of filtered results
-        if (this.filteredJson) {
-            return this.filteredJson.length;
+        // If search, a baseline or suppressions are applied, return the count of filtered results
+        if (this.isViolationSubset) {
+            return data.length;
         }
 
         // Return total count from violationCounts if available, otherwise count from data
         return this.violationCounts?.total || data.length;
     }
 
+    get exportableViolations() {
+        const data = this.filteredJson || this.baseViolations || [];
+        if (!this.selectedSeverity) {
+            return data;
+        }
+        return data.filter(violation => String(violation.severity) === String(this.selectedSeverity));
+    }
+
     get hasActiveFilters() {
         return this.selectedSeverity !== null || this.filteredJson !== null;
     }
@@ -402,7 +582,8 @@ export default class ResultTable extends LightningElement {
         return [
             { fieldName: 'file', label: 'File', type: 'text' },
             { fieldName: 'line', label: 'Line', type: 'number' },
-            { fieldName: 'message', label: 'Message', type: 'text' }
+            { fieldName: 'message', label: 'Message', type: 'text' },
+            ...this.rowActionColumns
         ];
     }
 
@@ -414,12 +595,19 @@ export default class ResultTable extends LightningElement {
                 { fieldName: 'rule', label: 'Rule', type: 'text' },
                 { fieldName: 'severityLabel', label: 'Severity', type: 'text' },
                 { fieldName: 'line', label: 'Line', type: 'number' },
-                { fieldName: 'message', label: 'Message', type: 'text' }
+                { fieldName: 'message', label: 'Message', type: 'text' },
+                ...this.rowActionColumns
             ];
         }
         return this.violationColumns;
     }
 
+    // Violations can only be suppressed when the result is related to a repository
+    get rowActionColumns() {
+        const rowActions = this.repositoryId ? [VIEW_DETAILS_ACTION, ...SUPPRESS_ACTIONS] : [VIEW_DETAILS_ACTION];
+        return [{ type: 'action', typeAttributes: { rowActions } }];
+    }
+
     get yamlData() {
         if (this.isYAML && this.scriptsLoaded) {
             return jsyaml.dump(this.formattedJson);
@@ -428,38 +616,36 @@ export default class ResultTable extends LightningElement {
         return '';
     }
 
-    b64DecodeUnicode(str) {
-        return decodeURIComponent(atob(str).split('').map(function (c) {
-            return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
-        }).join(''));
-    }
-
     getEngineDescription(engine) {
         return this.engineDescriptions[engine] || '';
     }
 
-    getFormattedData(serializedJson) {
+    // Returns the violations and the violationCounts of the top-level property, without setting them:
+    // the file may not be the selected one anymore when they are ready
+    async getFormattedData(serializedJson, onPage) {
         try {
-            const parsed = JSON.parse(serializedJson);
-            // Set violationCounts from the top-level property
-            this.violationCounts = parsed.violationCounts || null;
-            const formattedJson = this.transformJson(parsed);
+            const parsed = await this.parseScan(serializedJson);
+            const violationCounts = parsed.violationCounts || null;
+            const formattedJson = await this.transformJsonInPages(parsed, onPage);
 
             if (formattedJson?.length) {
                 return {
                     formattedJson,
-                    type: 'Table'
+                    type: 'Table',
+                    violationCounts
                 };
             } else {
                 return {
                     formattedJson,
-                    type: 'YAML'
+                    type: 'YAML',
+                    violationCounts
                 };
             }
         } catch (error) {
             return {
                 formattedJson: serializedJson,
-                type: 'String'
+                type: 'String',
+                violationCounts: null
             };
         }
     }
@@ -468,8 +654,8 @@ export default class ResultTable extends LightningElement {
         // Your existing grouping logic
     }
 
-    groupByEngineAndRuleArray(violations) {
-        const engines = this.processViolationsByEngine(violations, this.selectedSeverity);
+    groupByEngineAndRuleArray(violations, filterSeverity = this.selectedSeverity) {
+        const engines = this.processViolationsByEngine(violations, filterSeverity);
         return this.transformEngineObjectsToArray(engines, true);
     }
 
@@ -513,10 +699,86 @@ export default class ResultTable extends LightningElement {
         }));
     }
 
+    handleBaselineChange(event) {
+        this.baselineId = event.detail.value;
+        const baseline = this.baselines.find(option => option.id === this.baselineId);
+        this.baselineVersionId = baseline?.versionId;
+        this.baselineJson = null;
+        this.baselineError = null;
+        this.diffView = DIFF_NEW;
+        this._computeDiff();
+    }
+
+    handleDiffViewChange(event) {
+        this.diffView = event.target.value;
+        this._refreshSearch();
+    }
+
+    handleCloseDetail() {
+        this.detail = null;
+    }
+
+    handleCancelSuppression() {
+        this.suppressionForm = null;
+    }
+
+    handleExportSarif() {
+        const sarif = violationsToSarif(this.exportableViolations);
+        this._download(SARIF_EXPORT_FILE_NAME, JSON.stringify(sarif, null, 2), 'application/sarif+json');
+    }
+
     handleGroupByChange(event) {
         this.groupBy = event.detail.value;
     }
 
+    handleRowAction(event) {
+        const row = event.detail.row;
+        if (event.detail.action.name === VIEW_DETAILS) {
+            this._openDetail(row);
+            return;
+        }
+        const isViolation = event.detail.action.name === SUPPRESS_VIOLATION;
+        this.suppressionForm = {
+            approverId: null,
+            engine: row.engine,
+            error: null,
+            expirationDate: null,
+            file: row.file,
+            fingerprint: isViolation ? fingerprint(row) : null,
+            justification: '',
+            rule: row.rule,
+            saving: false,
+            title: isViolation ? `Suppress ${row.rule} in ${row.file}, line ${row.line}` : `Suppress all ${row.rule} violations in ${row.file}`
+        };
+    }
+
+    async handleSaveSuppression() {
+        const inputs = [...this.template.querySelectorAll('.suppression-input')];
+        const isValid = inputs.reduce((valid, input) => input.reportValidity() && valid, true);
+        if (!isValid) {
+            return;
+        }
+
+        const form = this.suppressionForm;
+        this.suppressionForm = { ...form, error: null, saving: true };
+        try {
+            await createSuppression({
+                approverId: form.approverId,
+                engine: form.engine,
+                expirationDate: form.expirationDate || null,
+                file: form.file,
+                fingerprint: form.fingerprint,
+                justification: form.justification,
+                resultId: this.recordId,
+                rule: form.rule
+            });
+            await refreshApex(this.wiredSuppressionsResult);
+            this.suppressionForm = null;
+        } catch (error) {
+            this.suppressionForm = { ...form, error: error.body?.message || error.message, saving: false };
+        }
+    }
+
     handleSearch(event) {
         this.searchValue = event.target.value;
         const searchTerm = this.searchValue ? this.searchValue.trim().toLowerCase() : '';
@@ -528,6 +790,37 @@ export default class ResultTable extends LightningElement {
         }
     }
 
+    handleSuppressionFieldChange(event) {
+        const field = event.target.dataset.field;
+        const value = field === 'approverId' ? event.detail.recordId : event.detail.value;
+        this.suppressionForm = { ...this.suppressionForm, [field]: value };
+    }
+
+    handleToggleSuppressed() {
+        this.showSuppressed = !this.showSuppressed;
+    }
+
+    handleSectionToggle(event) {
+        event.stopPropagation();
+        const accordion = event.currentTarget.dataset.accordion;
+        this.openSections = { ...this.openSections, [accordion]: event.detail.openSections };
+    }
+
+    handleShowMore(event) {
+        const pageKey = event.currentTarget.dataset.page;
+        const limit = this.pageLimits[pageKey] || RENDER_PAGE_SIZE;
+        this.pageLimits = { ...this.pageLimits, [pageKey]: limit + RENDER_PAGE_SIZE };
+    }
+
+    // Renders the rows of a table scrolled into view
+    handleListScroll(event) {
+        const listKey = event.currentTarget.dataset.list;
+        const first = firstVisibleRow(event.currentTarget.scrollTop);
+        if ((this.listOffsets[listKey] || 0) !== first) {
+            this.listOffsets = { ...this.listOffsets, [listKey]: first };
+        }
+    }
+
     handleSeverityClick(event) {
         const severity = event.currentTarget.dataset.severity;
         this.selectedSeverity = (this.selectedSeverity === severity) ? null : severity;
@@ -539,6 +832,70 @@ export default class ResultTable extends LightningElement {
         this.searchValue = '';
     }
 
+    // Helper method to parse a scan file: Code Analyzer output.json, or SARIF converted to the same format
+    async parseScan(serializedJson) {
+        const parsed = await parseJson(serializedJson);
+        return isSarif(parsed) ? sarifToViolations(parsed) : parsed;
+    }
+
+    // Helper method to count the violations of each severity
+    countBySeverity(violations) {
+        const counts = {};
+        violations.forEach(violation => {
+            counts[violation.severity] = (counts[violation.severity] || 0) + 1;
+        });
+        return counts;
+    }
+
+    // Helper method to add the suppression hiding each suppressed violation, for the audit
+    withSuppressions(violations, suppressedRows) {
+        return violations
+            .filter(violation => suppressedRows.has(violation))
+            .map(violation => {
+                const suppression = suppressedRows.get(violation);
+                return {
+                    ...violation,
+                    approverName: suppression.approverName,
+                    createdByName: suppression.createdByName,
+                    expirationDate: suppression.expirationDate,
+                    justification: suppression.justification
+                };
+            });
+    }
+
+    // Helper method to render only the content of the open sections, one page of their lists and the rows of their tables
+    // scrolled into view: groups are the sections of the accordion, each with a nested accordion of children (rules or files)
+    // with violations
+    pageSections(groups, childrenField, accordion, openSections, pageLimits, listOffsets) {
+        const openGroups = openSections[accordion] || [];
+
+        return groups.map(group => {
+            const childAccordion = `${accordion}/${group.key}`;
+            const openChildren = openSections[childAccordion] || [];
+            const childrenPage = visiblePage(group[childrenField], pageLimits[childAccordion]);
+
+            return {
+                ...group,
+                accordion: childAccordion,
+                hasMore: childrenPage.hasMore,
+                isOpen: openGroups.includes(group.key),
+                moreLabel: childrenPage.moreLabel,
+                openSections: openChildren,
+                visibleChildren: childrenPage.items.map(child => {
+                    const pageKey = `${childAccordion}/${child.key}`;
+                    const violationsWindow = visibleWindow(child.violations, listOffsets[pageKey]);
+                    return {
+                        ...child,
+                        isOpen: openChildren.includes(child.key),
+                        pageKey,
+                        violationsWindow,
+                        visibleViolations: violationsWindow.items
+                    };
+                })
+            };
+        });
+    }
+
     // Helper method to extract file path after 'default/'
     extractFileAfterDefault(filePath) {
         if (!filePath) {
@@ -557,34 +914,44 @@ export default class ResultTable extends LightningElement {
     // Transformation function
     transformJson(parsedJson) {
         if (parsedJson.violations && Array.isArray(parsedJson.violations)) {
-            return parsedJson.violations.map((violation, idx) => {
-                const primaryLoc = violation.locations?.[violation.primaryLocationIndex] || violation.locations?.[0] || {};
-                const fullFilePath = primaryLoc.file;
-
-                // Extract file path after 'default/' for display
-                const displayFilePath = this.extractFileAfterDefault(fullFilePath);
+            return parsedJson.violations.map((violation, idx) => this.transformViolation(violation, idx));
+        }
+        return [];
+    }
 
-                return {
-                    allLocations: violation.locations,
-                    engine: violation.engine,
-                    file: displayFilePath,
-                    fullViolation: violation,
-                    id: `${violation.rule}-${fullFilePath}-${primaryLoc.startLine}-${idx}`,
-                    line: primaryLoc.startLine,
-                    message: violation.message,
-                    resource: violation.resources?.[0] || '',
-                    rule: violation.rule,
-                    severity: violation.severity,
-                    tags: violation.tags,
-                    severityLabel: `${violation.severity} (${SEVERITY_LABELS[violation.severity] || ''})`
-                };
-            });
+    // Same as transformJson, a page of violations at a time so that the tab stays responsive with large scans
+    async transformJsonInPages(parsedJson, onPage) {
+        if (parsedJson.violations && Array.isArray(parsedJson.violations)) {
+            return mapInPages(parsedJson.violations, (violation, idx) => this.transformViolation(violation, idx), { onPage });
         }
         return [];
     }
 
+    transformViolation(violation, idx) {
+        const primaryLoc = violation.locations?.[violation.primaryLocationIndex] || violation.locations?.[0] || {};
+        const fullFilePath = primaryLoc.file;
+
+        // Extract file path after 'default/' for display
+        const displayFilePath = this.extractFileAfterDefault(fullFilePath);
+
+        return {
+            allLocations: violation.locations,
+            engine: violation.engine,
+            file: displayFilePath,
+            fullViolation: violation,
+            id: `${violation.rule}-${fullFilePath}-${primaryLoc.startLine}-${idx}`,
+            line: primaryLoc.startLine,
+            message: violation.message,
+            resource: violation.resources?.[0] || '',
+            rule: violation.rule,
+            severity: violation.severity,
+            tags: violation.tags,
+            severityLabel: `${violation.severity} (${SEVERITY_LABELS[violation.severity] || ''})`
+        };
+    }
+
     _applySearch(searchTerm) {
-        this.filteredJson = this.formattedJson.filter((row) => {
+        this.filteredJson = this.baseViolations.filter((row) => {
             for (const key in row) {
                 const value = String(row[key]) || '';
                 if (value && value.toLowerCase()?.includes(searchTerm)) {
@@ -598,4 +965,127 @@ export default class ResultTable extends LightningElement {
     _clearSearch() {
         this.filteredJson = null;
     }
+
+    // Decodes and transforms the scan file without blocking the tab, another file may have been selected meanwhile
+    async _loadScan(versionId, rawData) {
+        const isSelected = () => versionId === this.versionId;
+        this.loadingMessage = 'Reading the scan file...';
+        let data;
+        try {
+            const serializedJson = await decodeBase64(rawData);
+            data = await this.getFormattedData(serializedJson, (done, total) => {
+                if (isSelected()) {
+                    this.loadingMessage = `Loading violations (${done} of ${total})...`;
+                }
+            });
+        } catch (error) {
+            if (isSelected()) {
+                this.loadingMessage = null;
+                this.message = 'The scan file could not be read';
+            }
+            return;
+        }
+        if (!isSelected()) {
+            return;
+        }
+        this.loadingMessage = null;
+        this.violationCounts = data.violationCounts;
+
+        const { formattedJson, type } = data;
+        if (formattedJson.length > 0) {
+            this.formattedJson = formattedJson;
+            this.relevantFormattedJson = formattedJson;
+            this.showTable = true;
+            this.type = type;
+            this._computeDiff();
+        }
+    }
+
+    async _loadBaseline(baselineVersionId, rawData) {
+        let baselineJson = null;
+        let baselineError = null;
+        try {
+            const serializedJson = await decodeBase64(rawData);
+            baselineJson = await this.transformJsonInPages(await this.parseScan(serializedJson));
+        } catch (error) {
+            baselineError = 'The scan file of the baseline could not be read';
+        }
+        if (baselineVersionId !== this.baselineVersionId) {
+            return;
+        }
+        this.baselineJson = baselineJson;
+        this.baselineError = baselineError;
+        this._computeDiff();
+    }
+
+    // Reads the source around each location, the panel may have been closed or show another violation meanwhile
+    async _loadSource(detailId, step) {
+        const { fromLine, toLine } = sourceRange(step.location);
+        let changes;
+        try {
+            const source = await getSourceLines({ file: step.path, fromLine, resultId: this.recordId, toLine });
+            changes = { lines: highlightLines(source.lines, step.location) };
+        } catch (error) {
+            changes = {
+                error: `Source not available: ${error.body?.message || error.message}`,
+                lines: highlightLines(snippetLines(step.location), step.location)
+            };
+        }
+        if (this.detail?.id === detailId) {
+            const steps = this.detail.steps.map(s => (s.key === step.key ? { ...s, ...changes, hasLines: changes.lines.length > 0, loading: false } : s));
+            this.detail = { ...this.detail, steps };
+        }
+    }
+
+    _openDetail(row) {
+        const steps = traceSteps(row.fullViolation || {}).map(step => {
+            const path = repositoryPath(step.file);
+            return {
+                ...step,
+                error: null,
+                hasLines: false,
+                lines: [],
+                loading: true,
+                path,
+                title: `${step.label} - ${path}:${formatPosition(step.location)}`
+            };
+        });
+        this.detail = {
+            id: row.id,
+            message: row.message,
+            resource: row.resource,
+            sectionNames: steps.map(step => step.key),
+            severityLabel: row.severityLabel,
+            steps,
+            title: `${row.rule} (${row.engine})`
+        };
+        steps.forEach(step => this._loadSource(row.id, step));
+    }
+
+    _applySuppressions() {
+        this.suppressedRows = findSuppressed([...(this.formattedJson || []), ...(this.baselineJson || [])], this.suppressions);
+        this._refreshSearch();
+    }
+
+    _computeDiff() {
+        this.diff = this.formattedJson && this.baselineJson ? diffViolations(this.formattedJson, this.baselineJson) : null;
+        this._applySuppressions();
+    }
+
+    _refreshSearch() {
+        const searchTerm = this.searchValue ? this.searchValue.trim().toLowerCase() : '';
+        if (searchTerm && this.formattedJson) {
+            this._applySearch(searchTerm);
+        }
+    }
+
+    _download(fileName, content, mimeType) {
+        const link = document.createElement('a');
+        link.href = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
 }
\ No newline at end of file
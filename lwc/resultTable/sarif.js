@@ -0,0 +1,177 @@
+// SARIF 2.1 support: https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+// Imported SARIF is converted to the Code Analyzer "violations" shape, so the table handles every engine the same way.
+// Each run is an engine (its tool driver name), as in the SARIF written by Code Analyzer.
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'Copado Result Viewer';
+
+// SARIF levels only have 3 values, the severity (1-5) is kept in properties.severity when known
+const LEVEL_SEVERITIES = {
+    error: 2,
+    warning: 3,
+    note: 4,
+    none: 5
+};
+
+const SEVERITY_LEVELS = {
+    1: 'error',
+    2: 'error',
+    3: 'warning',
+    4: 'note',
+    5: 'note'
+};
+
+export function isSarif(parsedJson) {
+    return Boolean(parsedJson) && Array.isArray(parsedJson.runs) && (!parsedJson.version || String(parsedJson.version).startsWith('2.'));
+}
+
+// Returns { violations, violationCounts } in the Code Analyzer output.json format
+export function sarifToViolations(sarif) {
+    const violations = [];
+
+    sarif.runs.forEach(run => {
+        const driver = run.tool?.driver || {};
+        const engine = (driver.name || 'unknown').toLowerCase();
+        const rules = (driver.rules || []).concat(...(run.tool?.extensions || []).map(extension => extension.rules || []));
+        const rulesById = {};
+        rules.forEach(rule => {
+            rulesById[rule.id] = rule;
+        });
+
+        (run.results || []).forEach(result => {
+            const ruleId = result.ruleId || result.rule?.id || rules[result.ruleIndex]?.id || 'unknown';
+            const rule = rulesById[ruleId] || rules[result.ruleIndex] || {};
+            const resource = rule.helpUri || result.helpUri;
+
+            violations.push({
+                engine: engine,
+                locations: (result.locations || []).map(toLocation).filter(Boolean),
+                message: result.message?.text || result.message?.markdown || rule.shortDescription?.text || '',
+                primaryLocationIndex: 0,
+                resources: resource ? [resource] : [],
+                rule: ruleId,
+                severity: getSeverity(result, rule),
+                tags: result.properties?.tags || rule.properties?.tags || []
+            });
+        });
+    });
+
+    return { violations, violationCounts: countViolations(violations) };
+}
+
+// Writes rows of the table (see resultTable.transformJson) as a SARIF log, one run per engine
+export function violationsToSarif(rows) {
+    const runs = {};
+
+    rows.forEach(row => {
+        if (!runs[row.engine]) {
+            runs[row.engine] = { rules: [], ruleIndexes: {}, results: [] };
+        }
+        const run = runs[row.engine];
+
+        if (run.ruleIndexes[row.rule] === undefined) {
+            run.ruleIndexes[row.rule] = run.rules.length;
+            run.rules.push({
+                id: row.rule,
+                ...(row.resource ? { helpUri: row.resource } : {}),
+                properties: {
+                    severity: row.severity,
+                    tags: row.tags || []
+                }
+            });
+        }
+
+        const locations = row.allLocations?.length ? row.allLocations : [{ file: row.file, startLine: row.line }];
+        run.results.push({
+            ruleId: row.rule,
+            ruleIndex: run.ruleIndexes[row.rule],
+            level: SEVERITY_LEVELS[row.severity] || 'warning',
+            message: { text: row.message || '' },
+            locations: locations.map(toSarifLocation),
+            properties: { severity: row.severity }
+        });
+    });
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: Object.keys(runs).map(engine => ({
+            tool: {
+                driver: {
+                    name: engine,
+                    rules: runs[engine].rules,
+                    properties: { exportedBy: TOOL_NAME }
+                }
+            },
+            results: runs[engine].results
+        }))
+    };
+}
+
+export function countViolations(violations) {
+    const counts = { total: violations.length, sev1: 0, sev2: 0, sev3: 0, sev4: 0, sev5: 0 };
+    violations.forEach(violation => {
+        counts[`sev${violation.severity}`] += 1;
+    });
+    return counts;
+}
+
+// Helper method to read the severity: a number from the result or the rule (Code Analyzer, PMD priority), else the level
+function getSeverity(result, rule) {
+    const candidates = [
+        result.properties?.severity,
+        rule.properties?.severity,
+        rule.properties?.priority
+    ];
+    const numeric = candidates.map(Number).find(value => Number.isInteger(value) && value >= 1 && value <= 5);
+    if (numeric) {
+        return numeric;
+    }
+    const level = result.level || rule.defaultConfiguration?.level || 'warning';
+    return LEVEL_SEVERITIES[level] || LEVEL_SEVERITIES.warning;
+}
+
+// Helper method to convert a SARIF location to a Code Analyzer one
+function toLocation(location) {
+    const physical = location.physicalLocation;
+    if (!physical?.artifactLocation?.uri) {
+        return null;
+    }
+    const region = physical.region || {};
+    return {
+        file: toPath(physical.artifactLocation.uri),
+        startLine: region.startLine,
+        startColumn: region.startColumn,
+        endLine: region.endLine,
+        endColumn: region.endColumn,
+        ...(region.snippet?.text ? { snippet: region.snippet.text } : {})
+    };
+}
+
+function toSarifLocation(location) {
+    const region = {};
+    ['startLine', 'startColumn', 'endLine', 'endColumn'].forEach(key => {
+        if (Number.isInteger(location[key])) {
+            region[key] = location[key];
+        }
+    });
+    if (location.snippet) {
+        region.snippet = { text: location.snippet };
+    }
+    return {
+        physicalLocation: {
+            artifactLocation: { uri: location.file || '' },
+            ...(Object.keys(region).length ? { region } : {})
+        }
+    };
+}
+
+function toPath(uri) {
+    const path = uri.replace(/^file:\/\//iu, '');
+    try {
+        return decodeURIComponent(path);
+    } catch (error) {
+        return path;
+    }
+}
@@ -0,0 +1,52 @@
+// Suppressions of violations (see ScanViolationSuppressionController): one violation, matched by fingerprint,
+// or all the violations of a rule in a file when the suppression has no fingerprint.
+// Expired suppressions are kept for the audit but do not suppress anything.
+
+import { fingerprint } from './baseline';
+
+// Today as YYYY-MM-DD in the time zone of the user, to compare with the expiration dates
+export function today(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// The suppression is active until the end of its expiration date
+export function isActive(suppression, day = today()) {
+    return !suppression.expirationDate || suppression.expirationDate >= day;
+}
+
+// Returns row => suppression for the rows that are suppressed by an active suppression
+export function findSuppressed(rows, suppressions, day = today()) {
+    const result = new Map();
+    const active = suppressions.filter(suppression => isActive(suppression, day));
+    if (!active.length) {
+        return result;
+    }
+
+    const byRuleAndFile = new Map();
+    active.forEach(suppression => {
+        const key = ruleAndFile(suppression);
+        if (!byRuleAndFile.has(key)) {
+            byRuleAndFile.set(key, []);
+        }
+        byRuleAndFile.get(key).push(suppression);
+    });
+
+    rows.forEach(row => {
+        const candidates = byRuleAndFile.get(ruleAndFile(row));
+        if (!candidates) {
+            return;
+        }
+        const rowFingerprint = fingerprint(row);
+        const match = candidates.find(suppression => !suppression.fingerprint || suppression.fingerprint === rowFingerprint);
+        if (match) {
+            result.set(row, match);
+        }
+    });
+    return result;
+}
+
+function ruleAndFile({ rule, file }) {
+    return `${rule}|${(file || '').replace(/\\/gu, '/').toLowerCase()}`;
+}
@@ -0,0 +1,100 @@
+// Locations of a violation, in the order of the scan: for Graph Engine (sfge) data-flow findings the path from
+// the source to the sink, for CPD the duplicated blocks. Each location is shown with the source lines around it.
+
+export const CONTEXT_LINES = 3;
+
+const DATA_FLOW_ENGINES = ['sfge'];
+const DUPLICATE_ENGINES = ['cpd'];
+const REPOSITORY_PATH_PATTERN = /(?:^|\/)([^/]+\/main\/default\/.+)$/u;
+
+// Path of the file in the repository: the scans run on a checkout, their paths start with its directory
+export function repositoryPath(file) {
+    const path = (file || '').replace(/\\/gu, '/');
+    const match = path.match(REPOSITORY_PATH_PATTERN);
+    return match ? match[1] : path.replace(/^(\.\/|\/)+/u, '');
+}
+
+// Returns the locations of a violation as [{key, label, file, location, isPrimary}]
+export function traceSteps(violation) {
+    const locations = violation.locations || [];
+    const engine = (violation.engine || '').toLowerCase();
+    const isDataFlow = DATA_FLOW_ENGINES.includes(engine) && locations.length > 1;
+    const isDuplicate = DUPLICATE_ENGINES.includes(engine);
+
+    return locations.map((location, index) => {
+        let label;
+        if (isDataFlow) {
+            label = index === 0 ? 'Source' : (index === locations.length - 1 ? 'Sink' : `Step ${index}`);
+        } else if (isDuplicate) {
+            label = `Duplicate ${index + 1}`;
+        } else {
+            label = index === (violation.primaryLocationIndex || 0) ? 'Primary' : 'Related';
+        }
+        return {
+            key: `${index}`,
+            label: location.comment ? `${label}: ${location.comment}` : label,
+            file: location.file,
+            location,
+            isPrimary: index === (violation.primaryLocationIndex || 0)
+        };
+    });
+}
+
+// Lines to read around a location
+export function sourceRange(location, context = CONTEXT_LINES) {
+    const startLine = location.startLine || 1;
+    const endLine = Math.max(location.endLine || startLine, startLine);
+    return {
+        fromLine: Math.max(startLine - context, 1),
+        toLine: endLine + context
+    };
+}
+
+// "12:5-14:20", "12:5" or "12"
+export function formatPosition(location) {
+    const start = location.startColumn ? `${location.startLine}:${location.startColumn}` : `${location.startLine || ''}`;
+    if (!location.endLine || (location.endLine === location.startLine && !location.endColumn)) {
+        return start;
+    }
+    const end = location.endColumn ? `${location.endLine}:${location.endColumn}` : `${location.endLine}`;
+    return `${start}-${end}`;
+}
+
+// Lines of the snippet of the location (SARIF), shown when the source cannot be read from git
+export function snippetLines(location) {
+    if (!location.snippet) {
+        return [];
+    }
+    const startLine = location.startLine || 1;
+    return location.snippet.split(/\r?\n/u).map((text, index) => ({ number: startLine + index, text }));
+}
+
+// Splits the lines [{number, text}] around the location: the lines of the location are highlighted,
+// and in them the text from startColumn to endColumn (1 based, the end column excluded as in SARIF)
+export function highlightLines(lines, location) {
+    const startLine = location.startLine || 0;
+    const endLine = Math.max(location.endLine || startLine, startLine);
+
+    return lines.map(line => {
+        const text = line.text || '';
+        const isHighlighted = line.number >= startLine && line.number <= endLine;
+        let from = 0;
+        let to = text.length;
+        if (isHighlighted) {
+            if (line.number === startLine && location.startColumn) {
+                from = Math.min(location.startColumn - 1, text.length);
+            }
+            if (line.number === endLine && location.endColumn) {
+                to = Math.max(Math.min(location.endColumn - 1, text.length), from);
+            }
+        }
+        return {
+            key: `${line.number}`,
+            number: line.number,
+            before: isHighlighted ? text.substring(0, from) : text,
+            highlight: isHighlighted ? text.substring(from, to) : '',
+            after: isHighlighted ? text.substring(to) : '',
+            cssClass: isHighlighted ? 'source-line source-line_highlighted' : 'source-line'
+        };
+    });
+}